@@ -0,0 +1,304 @@
+/**
+ * YAS Remote Pro - Accounts Module
+ * Version: 3.3
+ * Features: User accounts, Credential verification, Password change, Legacy password accounts
+ */
+
+const crypto = require('crypto');
+const auth = require('./auth');
+const storage = require('./storage');
+const ipFilter = require('./ip-filter');
+
+// ============================================
+// Configuration
+// ============================================
+const ACCOUNT_CONFIG = {
+    minUsernameLength: 3,
+    maxUsernameLength: 64,
+    usernamePattern: /^[a-zA-Z0-9._@-]+$/
+};
+
+// ============================================
+// Data Stores
+// ============================================
+const accounts = storage.collection('accounts');  // accountId -> {id, username, passwordHash, legacy, createdAt, passwordChangedAt, ipRules}
+const usernames = new Map();                      // username (lowercase) -> accountId
+
+// Unknown usernames are checked against this, so they fail as slowly as wrong passwords
+const dummyPasswordHash = auth.hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// Rebuild username index from stored accounts
+accounts.forEach(account => {
+    if (account.username) {
+        usernames.set(account.username, account.id);
+    }
+});
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Generate unique account ID
+ */
+function generateAccountId() {
+    return 'acc_' + crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Normalize username for lookups
+ */
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+/**
+ * Validate username format
+ */
+function validateUsername(username) {
+    const name = normalizeUsername(username);
+    return name.length >= ACCOUNT_CONFIG.minUsernameLength &&
+        name.length <= ACCOUNT_CONFIG.maxUsernameLength &&
+        ACCOUNT_CONFIG.usernamePattern.test(name);
+}
+
+/**
+ * Public view of an account (never includes credentials)
+ */
+function getAccountInfo(account) {
+    return {
+        id: account.id,
+        username: account.username,
+        legacy: account.legacy,
+        createdAt: new Date(account.createdAt).toISOString()
+    };
+}
+
+// ============================================
+// Account Management
+// ============================================
+
+/**
+ * Create a new account
+ */
+async function createAccount(username, password) {
+    if (!validateUsername(username)) {
+        return { success: false, error: 'Invalid username format' };
+    }
+    
+    if (!auth.validatePassword(password)) {
+        return { success: false, error: 'Invalid password format' };
+    }
+    
+    const name = normalizeUsername(username);
+    if (usernames.has(name)) {
+        return { success: false, error: 'Username already taken' };
+    }
+    
+    const passwordHash = await auth.hashPassword(password);
+    
+    // Someone may have taken the name while the password was hashing
+    if (usernames.has(name)) {
+        return { success: false, error: 'Username already taken' };
+    }
+    
+    const account = {
+        id: generateAccountId(),
+        username: name,
+        passwordHash,
+        legacy: false,
+        createdAt: Date.now(),
+        passwordChangedAt: Date.now()
+    };
+    
+    accounts.set(account.id, account);
+    usernames.set(name, account.id);
+    
+    auth.logSecurityEvent('ACCOUNT_CREATED', { accountId: account.id, username: name });
+    
+    return { success: true, account };
+}
+
+/**
+ * Get account by ID
+ */
+function getAccount(accountId) {
+    return accounts.get(accountId) || null;
+}
+
+/**
+ * Get account by username
+ */
+function findByUsername(username) {
+    const accountId = usernames.get(normalizeUsername(username));
+    return accountId ? accounts.get(accountId) : null;
+}
+
+/**
+ * Verify username + password
+ */
+async function authenticate(username, password) {
+    const account = findByUsername(username);
+    const passwordHash = account ? account.passwordHash : await dummyPasswordHash;
+    
+    if (!await auth.verifyPassword(password, passwordHash) || !account) {
+        // accountId is for the account's security log, never for the client
+        return { valid: false, reason: 'Invalid username or password', accountId: account?.id };
+    }
+    
+    await upgradePasswordHash(account, password);
+    return { valid: true, account };
+}
+
+/**
+ * Re-hash a verified password stored with old parameters
+ */
+async function upgradePasswordHash(account, password) {
+    if (auth.needsRehash(account.passwordHash)) {
+        account.passwordHash = await auth.hashPassword(password);
+        accounts.save(account.id);
+    }
+}
+
+/**
+ * Derive the legacy account ID for a bare password.
+ * Old clients and computers identify themselves by password only, so the
+ * same password always maps to the same legacy account.
+ */
+function getLegacyAccountId(password) {
+    return 'acc_legacy_' + auth.deriveLegacyId('legacy', password);
+}
+
+/**
+ * Get or create the legacy account for a bare password (compatibility path)
+ */
+async function resolveLegacyAccount(password) {
+    const accountId = getLegacyAccountId(password);
+    if (accounts.has(accountId)) {
+        return accounts.get(accountId);
+    }
+    
+    const passwordHash = await auth.hashPassword(password);
+    
+    // A concurrent registration may have created it meanwhile
+    let account = accounts.get(accountId);
+    if (!account) {
+        account = {
+            id: accountId,
+            username: null,
+            passwordHash,
+            legacy: true,
+            createdAt: Date.now(),
+            passwordChangedAt: Date.now()
+        };
+        accounts.set(accountId, account);
+        auth.logSecurityEvent('LEGACY_ACCOUNT_CREATED', { accountId });
+    }
+    
+    return account;
+}
+
+/**
+ * Change account password
+ */
+async function changePassword(accountId, currentPassword, newPassword) {
+    const account = accounts.get(accountId);
+    if (!account) {
+        return { success: false, error: 'Account not found' };
+    }
+    
+    // Legacy account IDs are derived from the password itself
+    if (account.legacy) {
+        return { success: false, error: 'Legacy accounts cannot change password, register a username instead' };
+    }
+    
+    if (!await auth.verifyPassword(currentPassword, account.passwordHash)) {
+        return { success: false, error: 'Current password is incorrect' };
+    }
+    
+    if (!auth.validatePassword(newPassword)) {
+        return { success: false, error: 'Invalid password format' };
+    }
+    
+    account.passwordHash = await auth.hashPassword(newPassword);
+    account.passwordChangedAt = Date.now();
+    accounts.save(accountId);
+    
+    auth.logSecurityEvent('PASSWORD_CHANGED', { accountId });
+    
+    return { success: true };
+}
+
+// ============================================
+// IP Rules
+// ============================================
+
+/**
+ * Get an account's IP allow/deny lists
+ */
+function getIpRules(accountId) {
+    const account = accounts.get(accountId);
+    if (!account) return null;
+    return {
+        allow: account.ipRules?.allow || [],
+        deny: account.ipRules?.deny || []
+    };
+}
+
+/**
+ * Replace an account's IP allow/deny lists (CIDR ranges or addresses)
+ */
+function setIpRules(accountId, { allow = [], deny = [] } = {}) {
+    const account = accounts.get(accountId);
+    if (!account) {
+        return { success: false, error: 'Account not found' };
+    }
+    
+    const allowCheck = ipFilter.validateRules(allow);
+    if (!allowCheck.valid) {
+        return { success: false, error: `Allowlist: ${allowCheck.reason}` };
+    }
+    const denyCheck = ipFilter.validateRules(deny);
+    if (!denyCheck.valid) {
+        return { success: false, error: `Denylist: ${denyCheck.reason}` };
+    }
+    
+    account.ipRules = { allow: allowCheck.rules, deny: denyCheck.rules };
+    accounts.save(accountId);
+    
+    auth.logSecurityEvent('IP_RULES_CHANGED', { accountId, allow: allowCheck.rules, deny: denyCheck.rules });
+    
+    return { success: true, rules: account.ipRules };
+}
+
+/**
+ * Check an address against the account's lists
+ */
+function checkAccountIp(accountId, ip) {
+    return ipFilter.isAllowed(ip, getIpRules(accountId) || {});
+}
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    ACCOUNT_CONFIG,
+    
+    // Account management
+    createAccount,
+    getAccount,
+    findByUsername,
+    authenticate,
+    resolveLegacyAccount,
+    getLegacyAccountId,
+    changePassword,
+    
+    // IP rules
+    getIpRules,
+    setIpRules,
+    checkAccountIp,
+    
+    // Helpers
+    validateUsername,
+    getAccountInfo
+};
@@ -0,0 +1,211 @@
+/**
+ * YAS Remote Pro - Admin Console Module
+ * Version: 3.3
+ * Features: Relay operator token, Built-in console page
+ */
+
+const crypto = require('crypto');
+
+// ============================================
+// Configuration
+// ============================================
+const ADMIN_CONFIG = {
+    token: process.env.ADMIN_TOKEN || null,   // Console is disabled without a token
+    minTokenLength: 16,
+    securityEventLimit: 100                   // Events shown in the overview
+};
+
+// ============================================
+// Operator Authentication
+// ============================================
+
+/**
+ * Check if the console is configured
+ */
+function isEnabled() {
+    return !!ADMIN_CONFIG.token && ADMIN_CONFIG.token.length >= ADMIN_CONFIG.minTokenLength;
+}
+
+/**
+ * Compare a presented token with the configured one in constant time
+ */
+function verifyToken(token) {
+    if (!isEnabled() || !token) return false;
+    
+    const expected = crypto.createHash('sha256').update(ADMIN_CONFIG.token).digest();
+    const actual = crypto.createHash('sha256').update(String(token)).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// ============================================
+// Console Page
+// ============================================
+// Static page; it holds no data and talks to /admin/api with the token
+// the operator types in (kept in sessionStorage only).
+const CONSOLE_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>YAS Remote Relay - Admin</title>
+<style>
+  body { font: 14px system-ui, sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 28px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+  th { background: #f4f4f4; }
+  button { cursor: pointer; }
+  #error { color: #b00; }
+  .muted { color: #777; }
+</style>
+</head>
+<body>
+<h1>YAS Remote Relay &mdash; Admin</h1>
+<form id="login">
+  <input id="token" type="password" placeholder="Admin token" size="40" autocomplete="off">
+  <button>Open</button>
+  <span id="error"></span>
+</form>
+<div id="console" hidden>
+  <p id="stats" class="muted"></p>
+  <h2>Computers</h2><table id="computers"></table>
+  <h2>Sessions</h2><table id="sessions"></table>
+  <h2>Transfers</h2><table id="transfers"></table>
+  <h2>Lockouts</h2><table id="lockouts"></table>
+  <h2>Security events</h2><table id="events"></table>
+</div>
+<script>
+(function () {
+  var token = sessionStorage.getItem('adminToken') || '';
+
+  function api(method, path) {
+    return fetch('/admin/api' + path, { method: method, headers: { Authorization: 'Bearer ' + token } })
+      .then(function (res) {
+        return res.json().then(function (body) {
+          if (!res.ok) throw new Error(body.error || res.statusText);
+          return body;
+        });
+      });
+  }
+
+  function action(label, method, path) {
+    var button = document.createElement('button');
+    button.textContent = label;
+    button.onclick = function () {
+      if (!confirm(label + '?')) return;
+      api(method, path).then(load).catch(showError);
+    };
+    return button;
+  }
+
+  function table(id, columns, rows) {
+    var el = document.getElementById(id);
+    el.textContent = '';
+    var head = el.insertRow();
+    columns.forEach(function (c) {
+      var th = document.createElement('th');
+      th.textContent = c[0];
+      head.appendChild(th);
+    });
+    if (rows.length === 0) {
+      var cell = el.insertRow().insertCell();
+      cell.colSpan = columns.length;
+      cell.className = 'muted';
+      cell.textContent = 'None';
+    }
+    rows.forEach(function (row) {
+      var tr = el.insertRow();
+      columns.forEach(function (c) {
+        var value = c[1](row);
+        var td = tr.insertCell();
+        if (value instanceof Node) td.appendChild(value); else td.textContent = value == null ? '' : String(value);
+      });
+    });
+  }
+
+  function showError(e) {
+    document.getElementById('error').textContent = e.message;
+  }
+
+  function load() {
+    api('GET', '/overview').then(function (data) {
+      document.getElementById('error').textContent = '';
+      document.getElementById('console').hidden = false;
+      document.getElementById('stats').textContent =
+        'Version ' + data.version + ' \\u00b7 ' + data.computers.length + ' computers \\u00b7 ' +
+        data.stats.active + ' active sessions \\u00b7 ' + data.stats.uniqueUsers + ' accounts';
+
+      table('computers', [
+        ['Computer', function (c) { return c.computerId; }],
+        ['Name', function (c) { return c.name; }],
+        ['Account', function (c) { return c.accountId; }],
+        ['IP', function (c) { return c.ip; }],
+        ['State', function (c) { return c.reconnecting ? 'reconnecting' : 'online'; }],
+        ['Clients', function (c) { return c.clients.map(function (s) { return s.sessionId + ' (' + (s.deviceName || '?') + ')'; }).join(', '); }],
+        ['', function (c) { return action('Disconnect', 'POST', '/computers/' + encodeURIComponent(c.computerId) + '/disconnect'); }]
+      ], data.computers);
+
+      table('sessions', [
+        ['Session', function (s) { return s.id; }],
+        ['Account', function (s) { return s.accountId; }],
+        ['Computer', function (s) { return s.computerId; }],
+        ['Device', function (s) { return s.deviceInfo && s.deviceInfo.name; }],
+        ['IP', function (s) { return s.ip; }],
+        ['Scopes', function (s) { return (s.scopes || []).join(' '); }],
+        ['Last activity', function (s) { return s.lastActivity; }],
+        ['', function (s) { return action('Kick', 'DELETE', '/sessions/' + encodeURIComponent(s.id)); }]
+      ], data.sessions);
+
+      table('transfers', [
+        ['Transfer', function (t) { return t.id; }],
+        ['File', function (t) { return t.fileName; }],
+        ['Direction', function (t) { return t.direction; }],
+        ['Account', function (t) { return t.accountId; }],
+        ['Progress', function (t) { return t.progress + '%'; }],
+        ['Status', function (t) { return t.status; }]
+      ], data.transfers);
+
+      table('lockouts', [
+        ['Key', function (l) { return l.key; }],
+        ['Failures', function (l) { return l.count; }],
+        ['Locked', function (l) { return l.lockedOut ? l.remainingMinutes + ' min' : 'no'; }],
+        ['Last attempt', function (l) { return l.lastAttempt; }],
+        ['', function (l) { return action('Clear', 'DELETE', '/lockouts/' + encodeURIComponent(l.key)); }]
+      ], data.lockouts);
+
+      table('events', [
+        ['Time', function (e) { return e.timestamp; }],
+        ['Event', function (e) { return e.event; }],
+        ['IP', function (e) { return e.ip; }],
+        ['Details', function (e) { return JSON.stringify(e.details); }]
+      ], data.securityEvents);
+    }).catch(showError);
+  }
+
+  document.getElementById('login').onsubmit = function (e) {
+    e.preventDefault();
+    token = document.getElementById('token').value;
+    sessionStorage.setItem('adminToken', token);
+    load();
+  };
+
+  if (token) load();
+  setInterval(function () { if (!document.getElementById('console').hidden) load(); }, 10000);
+})();
+</script>
+</body>
+</html>
+`;
+
+function renderConsolePage() {
+    return CONSOLE_PAGE;
+}
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    ADMIN_CONFIG,
+    isEnabled,
+    verifyToken,
+    renderConsolePage
+};
@@ -1,28 +1,62 @@
 /**
  * YAS Remote Pro - Authentication Module
- * Version: 3.0
+ * Version: 3.3
  * Features: Password auth, Trusted devices, Session management, Security log
  */
 
 const crypto = require('crypto');
+const util = require('util');
+const storage = require('./storage');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+const log = logger.createLogger('security');
 
 // ============================================
 // Configuration
 // ============================================
 const AUTH_CONFIG = {
     sessionTimeout: 30 * 60 * 1000,      // 30 minutes inactivity
-    maxFailedAttempts: 5,                 // Max failed login attempts
-    lockoutDuration: 15 * 60 * 1000,      // 15 minutes lockout
+    lockoutDuration: 15 * 60 * 1000,      // First lockout; doubles with every further failure
+    maxLockoutDuration: 24 * 60 * 60 * 1000,
+    throttle: {
+        // Failures allowed before any delay, and before a full lockout
+        account: { freeAttempts: 2, maxFailedAttempts: 5 },   // user:, computer:, admin: keys
+        ip: { freeAttempts: 10, maxFailedAttempts: 30 },      // ip: keys (shared behind NAT)
+        baseDelay: 1000,                                      // Delays before lockout: 1s, 2s, 4s, ...
+        forgetAfter: 60 * 60 * 1000                           // Failures are forgotten an hour after the block ends
+    },
+    bruteForce: {
+        threshold: parseInt(process.env.BRUTE_FORCE_THRESHOLD, 10) || 100,  // Failures relay-wide per window
+        window: 60 * 1000,
+        cooldown: 10 * 60 * 1000          // No free attempts until this long after the last burst
+    },
     trustedDeviceExpiry: 30 * 24 * 60 * 60 * 1000, // 30 days
-    securityLogLimit: 100                 // Keep last 100 events
+    securityLogLimit: parseInt(process.env.SECURITY_LOG_LIMIT, 10) || 10000,            // Keep last 10000 events
+    securityLogRetention: (parseInt(process.env.SECURITY_LOG_RETENTION_DAYS, 10) || 90) * 24 * 60 * 60 * 1000,  // and at most 90 days
+    securityLogPageSize: 50,              // Default page size for queries
+    securityLogMaxPageSize: 500,
+    kdf: {                                // scrypt parameters for stored credentials
+        N: 16384,
+        r: 8,
+        p: 1,
+        keyLength: 32,
+        saltLength: 16
+    }
 };
 
 // ============================================
 // Data Stores
 // ============================================
-const trustedDevices = new Map();  // deviceId -> {password, name, browser, lastUsed, createdAt}
-const securityLog = [];            // [{timestamp, event, details, ip}]
-const failedAttempts = new Map();  // ip -> {count, lastAttempt}
+const trustedDevices = storage.collection('trustedDevices');  // deviceId -> {accountId, computerId, scopes, name, browser, lastUsed, createdAt}
+const securityLog = storage.list('securityLog');               // [{timestamp, event, details, ip}]
+const serverKeys = storage.collection('serverKeys');           // purpose -> random hex key, created on first use
+const failedAttempts = new Map();  // key ('ip:...' or account key) -> {count, lastAttempt}
+const recentFailures = [];         // timestamps of failures relay-wide, for the brute-force detector
+let bruteForceDetectedAt = null;   // last time the failure rate crossed the threshold
+
+// scrypt runs on the libuv thread pool so logins never stall relaying
+const scrypt = util.promisify(crypto.scrypt);
 
 // ============================================
 // Helper Functions
@@ -43,10 +77,67 @@ function generateSessionToken() {
 }
 
 /**
- * Hash password for comparison (simple hash for demo)
+ * Server-side secret for a purpose, generated the first time it is needed
+ */
+function getServerKey(purpose) {
+    if (!serverKeys.has(purpose)) {
+        serverKeys.set(purpose, crypto.randomBytes(32).toString('hex'));
+    }
+    return Buffer.from(serverKeys.get(purpose), 'hex');
+}
+
+/**
+ * Stable ID for a legacy password-only account or computer.
+ * Keyed by a server secret: the ID is stored and shown everywhere, so it
+ * must not let anyone test password guesses offline.
+ */
+function deriveLegacyId(kind, password) {
+    return crypto.createHmac('sha256', getServerKey('legacyIds'))
+        .update(kind + ':' + password)
+        .digest('hex')
+        .substring(0, 24);
+}
+
+/**
+ * Hash password with a random salt (scrypt); resolves to the stored form
+ * Format: scrypt$N$r$p$salt$hash (salt and hash base64)
  */
-function hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
+async function hashPassword(password) {
+    const { N, r, p, keyLength, saltLength } = AUTH_CONFIG.kdf;
+    const salt = crypto.randomBytes(saltLength);
+    const hash = await scrypt(String(password), salt, keyLength, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Verify password against a stored hash; resolves to true or false.
+ * Also accepts bare SHA-256 hex hashes from older versions.
+ */
+async function verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') return false;
+    
+    let expected, actual;
+    
+    if (storedHash.startsWith('scrypt$')) {
+        const [, N, r, p, salt, hash] = storedHash.split('$');
+        expected = Buffer.from(hash, 'base64');
+        actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+            N: Number(N), r: Number(r), p: Number(p)
+        });
+    } else {
+        expected = Buffer.from(storedHash, 'hex');
+        actual = crypto.createHash('sha256').update(password).digest();
+    }
+    
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check if a stored hash should be upgraded to current KDF parameters
+ */
+function needsRehash(storedHash) {
+    const { N, r, p } = AUTH_CONFIG.kdf;
+    return !String(storedHash).startsWith(`scrypt$${N}$${r}$${p}$`);
 }
 
 /**
@@ -63,58 +154,165 @@ function logSecurityEvent(event, details, ip = 'unknown') {
     securityLog.unshift(entry);
     
     // Keep only last N events
-    if (securityLog.length > AUTH_CONFIG.securityLogLimit) {
-        securityLog.pop();
-    }
+    securityLog.truncate(AUTH_CONFIG.securityLogLimit);
     
-    console.log(`[SECURITY] ${event}: ${JSON.stringify(details)}`);
+    const level = /FAILED|LOCKOUT/.test(event) ? 'warn' : 'info';
+    log[level](event, { ip, ...details });
     return entry;
 }
 
 // ============================================
-// Authentication Functions
+// Authentication Functions & Throttling
 // ============================================
+// Every failure is counted against the client IP and the targeted account
+// (or computer). Up to freeAttempts cost nothing; after that each failure
+// blocks the key for an exponentially growing delay, and from
+// maxFailedAttempts on for lockoutDuration, doubling up to maxLockoutDuration.
+
+function getPolicy(key) {
+    return key.startsWith('ip:') ? AUTH_CONFIG.throttle.ip : AUTH_CONFIG.throttle.account;
+}
 
 /**
- * Check if IP is locked out
+ * How long a key is blocked after its count-th failure
  */
-function isLockedOut(ip) {
-    const attempts = failedAttempts.get(ip);
-    if (!attempts) return false;
-    
-    if (attempts.count >= AUTH_CONFIG.maxFailedAttempts) {
-        const timeSinceLast = Date.now() - attempts.lastAttempt;
-        if (timeSinceLast < AUTH_CONFIG.lockoutDuration) {
-            return true;
-        }
-        // Lockout expired, reset
-        failedAttempts.delete(ip);
+function getBlockDuration(key, count) {
+    const policy = getPolicy(key);
+    
+    if (count >= policy.maxFailedAttempts) {
+        return Math.min(
+            AUTH_CONFIG.lockoutDuration * 2 ** (count - policy.maxFailedAttempts),
+            AUTH_CONFIG.maxLockoutDuration
+        );
     }
-    return false;
+    
+    // While the relay is under attack nothing is free
+    const freeAttempts = isUnderAttack() ? 0 : policy.freeAttempts;
+    if (count <= freeAttempts) return 0;
+    
+    return AUTH_CONFIG.throttle.baseDelay * 2 ** (count - freeAttempts - 1);
+}
+
+/**
+ * Check if one or more keys are blocked.
+ * Returns the longest block: {locked, lockedOut, retryAfter (s), remainingMinutes}.
+ */
+function checkLockout(keys) {
+    let result = { locked: false };
+    
+    [].concat(keys).forEach(key => {
+        const attempts = failedAttempts.get(key);
+        if (!attempts) return;
+        
+        const blockedUntil = attempts.lastAttempt + getBlockDuration(key, attempts.count);
+        const remainingMs = blockedUntil - Date.now();
+        
+        if (remainingMs <= 0) {
+            if (-remainingMs > AUTH_CONFIG.throttle.forgetAfter) {
+                failedAttempts.delete(key);
+            }
+            return;
+        }
+        
+        const retryAfter = Math.ceil(remainingMs / 1000);
+        if (!result.locked || retryAfter > result.retryAfter) {
+            result = {
+                locked: true,
+                key,
+                lockedOut: attempts.count >= getPolicy(key).maxFailedAttempts,
+                retryAfter,
+                remainingMinutes: Math.ceil(remainingMs / 60000)
+            };
+        }
+    });
+    
+    return result;
 }
 
 /**
- * Record failed attempt
+ * Human-readable wait for a blocked attempt
  */
-function recordFailedAttempt(key) {
-    const attempts = failedAttempts.get(key) || { count: 0, lastAttempt: 0 };
-    attempts.count++;
-    attempts.lastAttempt = Date.now();
-    failedAttempts.set(key, attempts);
-    
-    logSecurityEvent(key, 'FAILED_LOGIN', { 
-        attempts: attempts.count,
-        lockedOut: attempts.count >= AUTH_CONFIG.maxFailedAttempts
+function describeLockout(lockout) {
+    const wait = lockout.retryAfter < 60
+        ? `${lockout.retryAfter} second${lockout.retryAfter === 1 ? '' : 's'}`
+        : `${lockout.remainingMinutes} minutes`;
+    return `Too many attempts. Try again in ${wait}`;
+}
+
+/**
+ * Record a failed attempt against one or more keys.
+ * details (accountId when the target account is known) go into the security log.
+ */
+function recordFailedAttempt(keys, details = {}, ip = 'unknown') {
+    const list = [].concat(keys);
+    let lockedOut = false;
+    
+    list.forEach(key => {
+        const attempts = failedAttempts.get(key) || { count: 0, lastAttempt: 0 };
+        attempts.count++;
+        attempts.lastAttempt = Date.now();
+        failedAttempts.set(key, attempts);
+        
+        const max = getPolicy(key).maxFailedAttempts;
+        if (attempts.count === max) {
+            metrics.increment('lockouts_total');
+        }
+        if (attempts.count >= max) {
+            lockedOut = true;
+        }
     });
     
-    return attempts;
+    metrics.increment('failed_logins_total');
+    trackBruteForce(ip);
+    
+    logSecurityEvent('FAILED_LOGIN', { 
+        ...details,
+        key: list.find(key => !key.startsWith('ip:')) || list[0],
+        attempts: Math.max(...list.map(key => failedAttempts.get(key).count)),
+        lockedOut
+    }, ip);
+    
+    return checkLockout(list);
 }
 
 /**
  * Clear failed attempts on success
  */
-function clearFailedAttempts(ip) {
-    failedAttempts.delete(ip);
+function clearFailedAttempts(key) {
+    failedAttempts.delete(key);
+}
+
+/**
+ * Watch the relay-wide failure rate; a burst over the threshold removes
+ * free attempts for everyone until the cooldown passes
+ */
+function trackBruteForce(ip) {
+    const now = Date.now();
+    recentFailures.push(now);
+    while (recentFailures.length > 0 && now - recentFailures[0] > AUTH_CONFIG.bruteForce.window) {
+        recentFailures.shift();
+    }
+    
+    if (recentFailures.length < AUTH_CONFIG.bruteForce.threshold) return;
+    
+    if (!isUnderAttack()) {
+        logSecurityEvent('BRUTE_FORCE_DETECTED', {
+            failures: recentFailures.length,
+            windowSeconds: AUTH_CONFIG.bruteForce.window / 1000
+        }, ip);
+    }
+    bruteForceDetectedAt = now;
+}
+
+function isUnderAttack() {
+    return bruteForceDetectedAt !== null && Date.now() - bruteForceDetectedAt < AUTH_CONFIG.bruteForce.cooldown;
+}
+
+/**
+ * Drop failure records nobody has touched for a while
+ */
+function cleanupFailedAttempts() {
+    failedAttempts.forEach((attempts, key) => checkLockout(key));
 }
 
 /**
@@ -131,12 +329,15 @@ function validatePassword(password) {
 
 /**
  * Register a trusted device
+ * The device keeps the scopes it was granted when it was trusted.
  */
-function registerTrustedDevice(password, deviceInfo) {
+function registerTrustedDevice(accountId, deviceInfo, computerId = null, scopes = null) {
     const deviceId = generateDeviceId();
     
     trustedDevices.set(deviceId, {
-        passwordHash: hashPassword(password),
+        accountId,
+        computerId,
+        scopes,
         name: deviceInfo.name || 'Unknown Device',
         browser: deviceInfo.browser || 'Unknown',
         createdAt: Date.now(),
@@ -144,6 +345,7 @@ function registerTrustedDevice(password, deviceInfo) {
     });
     
     logSecurityEvent('DEVICE_TRUSTED', { 
+        accountId,
         deviceId: deviceId.substring(0, 10) + '...', 
         name: deviceInfo.name 
     });
@@ -154,29 +356,26 @@ function registerTrustedDevice(password, deviceInfo) {
 /**
  * Validate trusted device
  */
-function validateTrustedDevice(deviceId, password) {
+function validateTrustedDevice(deviceId, accountId) {
     const device = trustedDevices.get(deviceId);
     
-    if (!device) {
+    if (!device || device.accountId !== accountId) {
         return { valid: false, reason: 'Device not found' };
     }
     
     // Check expiry
     if (Date.now() - device.createdAt > AUTH_CONFIG.trustedDeviceExpiry) {
         trustedDevices.delete(deviceId);
-        logSecurityEvent('DEVICE_EXPIRED', { deviceId: deviceId.substring(0, 10) + '...' });
+        logSecurityEvent('DEVICE_EXPIRED', { accountId, deviceId: deviceId.substring(0, 10) + '...', name: device.name });
         return { valid: false, reason: 'Device trust expired' };
     }
     
-    // Validate password hash
-    if (device.passwordHash !== hashPassword(password)) {
-        return { valid: false, reason: 'Password changed' };
-    }
-    
     // Update last used
     device.lastUsed = Date.now();
+    trustedDevices.save(deviceId);
     
     logSecurityEvent('DEVICE_AUTO_LOGIN', { 
+        accountId,
         deviceId: deviceId.substring(0, 10) + '...',
         name: device.name
     });
@@ -192,6 +391,7 @@ function removeTrustedDevice(deviceId) {
     if (device) {
         trustedDevices.delete(deviceId);
         logSecurityEvent('DEVICE_REMOVED', { 
+            accountId: device.accountId,
             deviceId: deviceId.substring(0, 10) + '...',
             name: device.name
         });
@@ -201,18 +401,62 @@ function removeTrustedDevice(deviceId) {
 }
 
 /**
- * Get all trusted devices for a password
+ * Remove a trusted device of an account, by full ID or by the shortened
+ * ID shown in device lists
  */
-function getTrustedDevices(password) {
-    const hash = hashPassword(password);
+function removeAccountDevice(accountId, deviceId) {
+    const id = String(deviceId || '');
+    const prefix = id.endsWith('...') ? id.slice(0, -3) : null;
+    
+    const matches = [];
+    trustedDevices.forEach((device, candidate) => {
+        if (device.accountId !== accountId) return;
+        if (prefix ? candidate.startsWith(prefix) : candidate === id) {
+            matches.push(candidate);
+        }
+    });
+    
+    if (matches.length !== 1) {
+        return { success: false, error: 'Device not found' };
+    }
+    
+    removeTrustedDevice(matches[0]);
+    return { success: true };
+}
+
+/**
+ * Remove devices that were trusted through a computer's pairing secret
+ */
+function removeComputerDevices(computerId) {
+    let removed = 0;
+    
+    trustedDevices.forEach((device, id) => {
+        if (device.computerId === computerId) {
+            trustedDevices.delete(id);
+            removed++;
+        }
+    });
+    
+    if (removed > 0) {
+        logSecurityEvent('DEVICES_REVOKED', { computerId, count: removed });
+    }
+    
+    return removed;
+}
+
+/**
+ * Get all trusted devices for an account (or those paired with one of its computers)
+ */
+function getTrustedDevices(accountId, computerId = null) {
     const devices = [];
     
     trustedDevices.forEach((device, id) => {
-        if (device.passwordHash === hash) {
+        if (device.accountId === accountId && (!computerId || device.computerId === computerId)) {
             devices.push({
                 id: id.substring(0, 10) + '...',
                 name: device.name,
                 browser: device.browser,
+                scopes: device.scopes,
                 lastUsed: device.lastUsed,
                 createdAt: device.createdAt
             });
@@ -223,35 +467,156 @@ function getTrustedDevices(password) {
 }
 
 // ============================================
-// Security Log
+// Security Log Queries
 // ============================================
+const SECURITY_LOG_FORMATS = ['json', 'csv', 'jsonl'];
 
 /**
- * Check if locked out (alias for compatibility)
+ * Turn request parameters (WebSocket message or URL query) into log filters.
+ * Returns {valid, filters} or {valid: false, reason}.
  */
-function checkLockout(password) {
-    // Use password as key for lockout check
-    const attempts = failedAttempts.get(password);
-    if (!attempts) return { locked: false };
-    
-    if (attempts.count >= AUTH_CONFIG.maxFailedAttempts) {
-        const timeSinceLast = Date.now() - attempts.lastAttempt;
-        if (timeSinceLast < AUTH_CONFIG.lockoutDuration) {
-            const remainingMs = AUTH_CONFIG.lockoutDuration - timeSinceLast;
-            return { 
-                locked: true, 
-                remainingMinutes: Math.ceil(remainingMs / 60000)
-            };
+function parseSecurityLogQuery(params = {}) {
+    const filters = {};
+    
+    const events = params.events ?? params.event;
+    if (events) {
+        filters.events = (Array.isArray(events) ? events : String(events).split(','))
+            .map(e => String(e).trim().toUpperCase())
+            .filter(Boolean);
+    }
+    
+    for (const name of ['from', 'to']) {
+        if (params[name] === undefined || params[name] === null || params[name] === '') continue;
+        const value = /^\d+$/.test(String(params[name])) ? Number(params[name]) : Date.parse(params[name]);
+        if (Number.isNaN(value)) {
+            return { valid: false, reason: `Invalid '${name}' time` };
         }
-        failedAttempts.delete(password);
+        filters[name] = value;
     }
-    return { locked: false };
+    
+    if (params.ip) filters.ip = String(params.ip);
+    if (params.device) filters.device = String(params.device);
+    if (params.accountId) filters.accountId = String(params.accountId);
+    
+    const format = params.format ? String(params.format).toLowerCase() : 'json';
+    if (!SECURITY_LOG_FORMATS.includes(format)) {
+        return { valid: false, reason: `Unknown format. Use one of: ${SECURITY_LOG_FORMATS.join(', ')}` };
+    }
+    filters.format = format;
+    
+    filters.offset = Math.max(parseInt(params.offset, 10) || 0, 0);
+    
+    // Exports default to everything that matches; pages to one page
+    const limit = parseInt(params.limit, 10);
+    filters.limit = limit > 0
+        ? Math.min(limit, format === 'json' ? AUTH_CONFIG.securityLogMaxPageSize : AUTH_CONFIG.securityLogLimit)
+        : (format === 'json' ? AUTH_CONFIG.securityLogPageSize : AUTH_CONFIG.securityLogLimit);
+    
+    return { valid: true, filters };
 }
 
 /**
- * Get security log
+ * Match a device filter against the shortened device ID or the device name
  */
-function getSecurityLog(limit = 20) {
+function matchesDevice(details, device) {
+    const wanted = device.replace(/\.\.\.$/, '');
+    const deviceId = details.deviceId ? details.deviceId.replace(/\.\.\.$/, '') : null;
+    if (deviceId && wanted.startsWith(deviceId)) return true;
+    
+    const name = device.toLowerCase();
+    return [details.name, details.device, details.deviceInfo?.name]
+        .some(candidate => typeof candidate === 'string' && candidate.toLowerCase() === name);
+}
+
+/**
+ * Query the security log, newest first.
+ * Returns one page: {entries, total, offset, limit, hasMore}.
+ * accountId scopes the results; null means all accounts (relay operator only).
+ */
+function getSecurityLog(accountId, filters = {}) {
+    const { events, from, to, ip, device, offset = 0, limit = AUTH_CONFIG.securityLogPageSize } = filters;
+    const scope = accountId ?? filters.accountId ?? null;
+    
+    const matches = securityLog.filter(entry => {
+        const details = entry.details || {};
+        if (scope && details.accountId !== scope) return false;
+        if (events && !events.includes(entry.event)) return false;
+        
+        const time = Date.parse(entry.timestamp);
+        if (from !== undefined && time < from) return false;
+        if (to !== undefined && time > to) return false;
+        
+        if (ip && entry.ip !== ip) return false;
+        if (device && !matchesDevice(details, device)) return false;
+        return true;
+    });
+    
+    return {
+        entries: matches.slice(offset, offset + limit),
+        total: matches.length,
+        offset,
+        limit,
+        hasMore: offset + limit < matches.length
+    };
+}
+
+function csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    // Keep spreadsheets from evaluating cells as formulas
+    if (/^[=+\-@]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize log entries for download.
+ * Returns {contentType, extension, data}.
+ */
+function exportSecurityLog(entries, format) {
+    if (format === 'jsonl') {
+        return {
+            contentType: 'application/x-ndjson',
+            extension: 'jsonl',
+            data: entries.map(entry => JSON.stringify(entry) + '\n').join('')
+        };
+    }
+    
+    const header = ['timestamp', 'event', 'ip', 'accountId', 'computerId', 'device', 'details'];
+    const rows = entries.map(entry => {
+        const { accountId, computerId, ...rest } = entry.details || {};
+        return [
+            entry.timestamp,
+            entry.event,
+            entry.ip,
+            accountId,
+            computerId,
+            rest.deviceId || rest.device || rest.deviceInfo?.name || rest.name || '',
+            JSON.stringify(rest)
+        ].map(csvField).join(',');
+    });
+    
+    return {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        data: [header.join(','), ...rows].join('\r\n') + '\r\n'
+    };
+}
+
+/**
+ * Drop events older than the retention period (the log is newest first)
+ */
+function pruneSecurityLog() {
+    const cutoff = Date.now() - AUTH_CONFIG.securityLogRetention;
+    const index = securityLog.findIndex(entry => Date.parse(entry.timestamp) < cutoff);
+    if (index !== -1) {
+        log.info('Security log pruned', { removed: securityLog.length - index });
+        securityLog.truncate(index);
+    }
+}
+
+/**
+ * Get recent security events across all accounts (relay operator only)
+ */
+function getAllSecurityEvents(limit = 50) {
     return securityLog.slice(0, limit);
 }
 
@@ -260,17 +625,40 @@ function getSecurityLog(limit = 20) {
  */
 function getFailedAttemptsInfo() {
     const info = [];
-    failedAttempts.forEach((data, ip) => {
+    failedAttempts.forEach((data, key) => {
+        const lockout = checkLockout(key);
+        if (!failedAttempts.has(key)) return;
         info.push({
-            ip,
+            key,
             count: data.count,
             lastAttempt: new Date(data.lastAttempt).toISOString(),
-            lockedOut: data.count >= AUTH_CONFIG.maxFailedAttempts
+            lockedOut: lockout.locked,
+            retryAfter: lockout.retryAfter || 0,
+            remainingMinutes: lockout.remainingMinutes || 0
         });
     });
     return info;
 }
 
+/**
+ * Relay-wide brute-force detector state
+ */
+function getBruteForceStatus() {
+    return {
+        underAttack: isUnderAttack(),
+        recentFailures: recentFailures.filter(t => Date.now() - t <= AUTH_CONFIG.bruteForce.window).length,
+        threshold: AUTH_CONFIG.bruteForce.threshold,
+        detectedAt: bruteForceDetectedAt ? new Date(bruteForceDetectedAt).toISOString() : null
+    };
+}
+
+// ============================================
+// Start Cleanup Interval
+// ============================================
+pruneSecurityLog();
+setInterval(pruneSecurityLog, 60 * 60 * 1000);
+setInterval(cleanupFailedAttempts, 5 * 60 * 1000);
+
 // ============================================
 // Exports
 // ============================================
@@ -280,14 +668,22 @@ module.exports = {
     
     // Auth functions
     validatePassword,
-    isLockedOut,
     checkLockout,
+    describeLockout,
     recordFailedAttempt,
+    clearFailedAttempts,
+    getBruteForceStatus,
+    hashPassword,
+    verifyPassword,
+    deriveLegacyId,
+    needsRehash,
     
     // Trusted devices
     registerTrustedDevice,
     validateTrustedDevice,
     removeTrustedDevice,
+    removeAccountDevice,
+    removeComputerDevices,
     getTrustedDevices,
     
     // Session helpers
@@ -297,5 +693,8 @@ module.exports = {
     // Security
     logSecurityEvent,
     getSecurityLog,
+    parseSecurityLogQuery,
+    exportSecurityLog,
+    getAllSecurityEvents,
     getFailedAttemptsInfo
 };
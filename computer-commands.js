@@ -0,0 +1,262 @@
+/**
+ * YAS Remote Pro - Computer Commands Module
+ * Version: 3.3
+ * Features: Request IDs for client->computer commands, Per-command timeouts, Cancellation,
+ *           Command queue while a computer reconnects
+ */
+
+const crypto = require('crypto');
+
+// ============================================
+// Configuration
+// ============================================
+const COMMAND_CONFIG = {
+    timeouts: {
+        browse_files: 15 * 1000,
+        file_operation: 60 * 1000,          // Copying large folders takes a while
+        start_watcher: 15 * 1000,
+        get_watched_folders: 15 * 1000,
+        file_download_request: 30 * 1000    // Until the computer announces the file
+    },
+    defaultTimeout: 30 * 1000,
+    maxPendingPerSession: 50,
+    maxClientRequestIdLength: 64,
+    
+    // A computer whose socket drops keeps its clients this long before they see it go offline (0 disables)
+    reconnectGrace: Math.max(0, parseInt(process.env.COMPUTER_RECONNECT_GRACE_SECONDS ?? '30', 10) || 0) * 1000,
+    maxQueuedPerComputer: 100,
+    
+    // Safe to deliver late: reading or (re)starting state, never changing files
+    queueable: ['browse_files', 'get_watched_folders', 'start_watcher', 'stop_watcher', 'file_download_request']
+};
+
+// ============================================
+// Data Stores
+// ============================================
+// requestId -> {id, command, sessionId, computerId, clientRequestId, transferId, createdAt, timer, onTimeout}
+const pendingRequests = new Map();
+
+// computerId -> [{requestId, message}] held while the computer reconnects
+const commandQueues = new Map();
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function generateRequestId() {
+    return 'req_' + crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * The client's own tag for a request, echoed back on the reply
+ */
+function normalizeClientRequestId(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const text = String(value);
+    return text.length > 0 && text.length <= COMMAND_CONFIG.maxClientRequestIdLength ? text : null;
+}
+
+function countSessionRequests(sessionId) {
+    let count = 0;
+    pendingRequests.forEach(request => {
+        if (request.sessionId === sessionId) count++;
+    });
+    return count;
+}
+
+function armTimer(request) {
+    const timeout = COMMAND_CONFIG.timeouts[request.command] || COMMAND_CONFIG.defaultTimeout;
+    request.timer = setTimeout(() => {
+        if (pendingRequests.get(request.id) !== request) return;
+        pendingRequests.delete(request.id);
+        request.onTimeout(request);
+    }, timeout);
+}
+
+function remove(request) {
+    clearTimeout(request.timer);
+    pendingRequests.delete(request.id);
+    return request;
+}
+
+// ============================================
+// Request Lifecycle
+// ============================================
+
+/**
+ * Track a command sent to a computer on behalf of a client session.
+ * onTimeout(request) runs if no reply arrives in time; for queued
+ * commands the clock starts when the queue is flushed.
+ */
+function createRequest(command, { sessionId, computerId, clientRequestId, transferId = null, queued = false }, onTimeout) {
+    if (countSessionRequests(sessionId) >= COMMAND_CONFIG.maxPendingPerSession) {
+        return { success: false, error: 'Too many pending requests' };
+    }
+    
+    const id = generateRequestId();
+    const request = {
+        id,
+        command,
+        sessionId,
+        computerId,
+        clientRequestId: normalizeClientRequestId(clientRequestId) || id,
+        transferId,
+        createdAt: Date.now(),
+        timer: null,
+        onTimeout
+    };
+    
+    if (!queued) armTimer(request);
+    
+    pendingRequests.set(id, request);
+    return { success: true, request };
+}
+
+/**
+ * Take the pending request a computer is answering.
+ * Computers that predate request IDs only echo requesterId, so their
+ * replies settle that session's oldest request for the same command.
+ */
+function resolveRequest(computerId, command, { requestId, requesterId, transferId } = {}) {
+    if (requestId) {
+        const request = pendingRequests.get(requestId);
+        if (!request || request.computerId !== computerId || request.command !== command) return null;
+        return remove(request);
+    }
+    
+    for (const request of pendingRequests.values()) {
+        if (request.computerId !== computerId || request.command !== command) continue;
+        if (transferId ? request.transferId === transferId : request.sessionId === requesterId) {
+            return remove(request);
+        }
+    }
+    return null;
+}
+
+/**
+ * Cancel a session's request by the ID the client knows it as
+ */
+function cancelRequest(sessionId, clientRequestId) {
+    const tag = normalizeClientRequestId(clientRequestId);
+    if (!tag) return null;
+    
+    for (const request of pendingRequests.values()) {
+        if (request.sessionId === sessionId && request.clientRequestId === tag) {
+            return remove(request);
+        }
+    }
+    return null;
+}
+
+/**
+ * Forget a request by its relay-issued ID
+ */
+function discardRequest(requestId) {
+    const request = pendingRequests.get(requestId);
+    return request ? remove(request) : null;
+}
+
+/**
+ * Drop a download's request once the transfer ends some other way
+ */
+function cancelTransferRequest(transferId) {
+    for (const request of pendingRequests.values()) {
+        if (request.transferId === transferId) {
+            return remove(request);
+        }
+    }
+    return null;
+}
+
+/**
+ * Remove every request waiting on a computer (returned so callers can reply)
+ */
+function takeComputerRequests(computerId) {
+    const taken = [];
+    pendingRequests.forEach(request => {
+        if (request.computerId === computerId) taken.push(request);
+    });
+    return taken.map(remove);
+}
+
+/**
+ * Forget a session's requests; nobody is left to answer
+ */
+function dropSessionRequests(sessionId) {
+    pendingRequests.forEach(request => {
+        if (request.sessionId === sessionId) remove(request);
+    });
+}
+
+// ============================================
+// Reconnect Queue
+// ============================================
+
+function isQueueable(command) {
+    return COMMAND_CONFIG.queueable.includes(command);
+}
+
+/**
+ * Hold a computer-bound message until the computer is back
+ */
+function queueCommand(computerId, requestId, message) {
+    const queue = commandQueues.get(computerId) || [];
+    if (queue.length >= COMMAND_CONFIG.maxQueuedPerComputer) {
+        return { success: false, error: 'Too many commands waiting for the computer' };
+    }
+    
+    queue.push({ requestId, message });
+    commandQueues.set(computerId, queue);
+    return { success: true };
+}
+
+/**
+ * Messages to send now that the computer is back, minus requests that
+ * were cancelled meanwhile. Their timeouts start now.
+ */
+function takeQueuedCommands(computerId) {
+    const queue = commandQueues.get(computerId) || [];
+    commandQueues.delete(computerId);
+    
+    return queue.filter(({ requestId }) => {
+        if (!requestId) return true;
+        const request = pendingRequests.get(requestId);
+        if (!request) return false;
+        armTimer(request);
+        return true;
+    }).map(({ message }) => message);
+}
+
+function dropQueuedCommands(computerId) {
+    commandQueues.delete(computerId);
+}
+
+function getQueuedCount(computerId) {
+    return commandQueues.get(computerId)?.length || 0;
+}
+
+function getPendingCount() {
+    return pendingRequests.size;
+}
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    COMMAND_CONFIG,
+    createRequest,
+    resolveRequest,
+    cancelRequest,
+    discardRequest,
+    cancelTransferRequest,
+    takeComputerRequests,
+    dropSessionRequests,
+    getPendingCount,
+    
+    // Reconnect queue
+    isQueueable,
+    queueCommand,
+    takeQueuedCommands,
+    dropQueuedCommands,
+    getQueuedCount
+};
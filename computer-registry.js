@@ -0,0 +1,277 @@
+/**
+ * YAS Remote Pro - Computer Registry Module
+ * Version: 3.3
+ * Features: Stable computer IDs, Hashed pairing secrets, Secret rotation, Computer names,
+ *           Inventory and last-seen times
+ */
+
+const crypto = require('crypto');
+const auth = require('./auth');
+const storage = require('./storage');
+const permissions = require('./permissions');
+
+// ============================================
+// Configuration
+// ============================================
+const REGISTRY_CONFIG = {
+    maxNameLength: 64,
+    
+    // Fields of the computer's registration info shown in the computer directory
+    inventoryFields: ['os', 'osVersion', 'hostname', 'version', 'arch'],
+    maxInventoryValueLength: 128
+};
+
+// ============================================
+// Data Stores
+// ============================================
+const computerRecords = storage.collection('computers');  // computerId -> {id, accountId, secretHash, pairingScopes, name, inventory, wakeTarget, createdAt, secretRotatedAt, lastConnectedAt, lastSeenAt, lastIp}
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Generate unique computer ID
+ */
+function generateComputerId() {
+    return 'pc_' + crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Derive the computer ID used by legacy password-only computers
+ */
+function getLegacyComputerId(password) {
+    return 'pc_legacy_' + auth.deriveLegacyId('legacy-computer', password);
+}
+
+/**
+ * The directory-worthy part of a computer's self-reported info
+ */
+function pickInventory(info = {}) {
+    const inventory = {};
+    REGISTRY_CONFIG.inventoryFields.forEach(field => {
+        const value = info?.[field];
+        if (typeof value === 'string' || typeof value === 'number') {
+            inventory[field] = String(value).substring(0, REGISTRY_CONFIG.maxInventoryValueLength);
+        }
+    });
+    return inventory;
+}
+
+/**
+ * Public view of a computer record (never includes the secret hash)
+ */
+function getComputerInfo(record) {
+    return {
+        id: record.id,
+        accountId: record.accountId,
+        name: record.name,
+        pairingScopes: getPairingScopes(record),
+        wakeOnLan: !!record.wakeTarget,
+        createdAt: new Date(record.createdAt).toISOString(),
+        secretRotatedAt: new Date(record.secretRotatedAt).toISOString()
+    };
+}
+
+// ============================================
+// Registry
+// ============================================
+
+/**
+ * Register a new computer under an account
+ */
+async function createComputer(accountId, secret, info = {}, computerId = generateComputerId()) {
+    if (!auth.validatePassword(secret)) {
+        return { success: false, error: 'Invalid secret format' };
+    }
+    
+    if (computerRecords.has(computerId)) {
+        return { success: false, error: 'Computer already registered' };
+    }
+    
+    const secretHash = await auth.hashPassword(secret);
+    
+    // A concurrent registration may have claimed the ID while the secret was hashing
+    if (computerRecords.has(computerId)) {
+        return { success: false, error: 'Computer already registered' };
+    }
+    
+    const record = {
+        id: computerId,
+        accountId,
+        secretHash,
+        name: info.name || info.hostname || 'Computer',
+        createdAt: Date.now(),
+        secretRotatedAt: Date.now()
+    };
+    
+    computerRecords.set(computerId, record);
+    
+    auth.logSecurityEvent('COMPUTER_CREATED', { accountId, computerId });
+    
+    return { success: true, computer: record };
+}
+
+/**
+ * Get computer record by ID
+ */
+function getComputer(computerId) {
+    return computerRecords.get(computerId) || null;
+}
+
+/**
+ * Verify computer ID + secret
+ */
+async function verifySecret(computerId, secret) {
+    const record = computerRecords.get(computerId);
+    
+    if (!record || !await auth.verifyPassword(secret, record.secretHash)) {
+        // accountId is for the account's security log, never for the client
+        return { valid: false, reason: 'Invalid computer ID or secret', accountId: record?.accountId, computerId: record ? computerId : undefined };
+    }
+    
+    if (auth.needsRehash(record.secretHash)) {
+        record.secretHash = await auth.hashPassword(secret);
+        computerRecords.save(computerId);
+    }
+    
+    return { valid: true, computer: record };
+}
+
+/**
+ * Replace the pairing secret
+ */
+async function rotateSecret(computerId, newSecret) {
+    const record = computerRecords.get(computerId);
+    if (!record) {
+        return { success: false, error: 'Computer not found' };
+    }
+    
+    if (!auth.validatePassword(newSecret)) {
+        return { success: false, error: 'Invalid secret format' };
+    }
+    
+    record.secretHash = await auth.hashPassword(newSecret);
+    record.secretRotatedAt = Date.now();
+    computerRecords.save(computerId);
+    
+    auth.logSecurityEvent('COMPUTER_SECRET_ROTATED', { accountId: record.accountId, computerId });
+    
+    return { success: true };
+}
+
+/**
+ * Scopes granted to clients connecting with the pairing secret
+ */
+function getPairingScopes(record) {
+    return record.pairingScopes || permissions.SCOPES;
+}
+
+/**
+ * Limit what the pairing secret grants (e.g. view-only support access)
+ */
+function setPairingScopes(computerId, scopes) {
+    const record = computerRecords.get(computerId);
+    if (!record) {
+        return { success: false, error: 'Computer not found' };
+    }
+    
+    record.pairingScopes = permissions.grantScopes(scopes);
+    computerRecords.save(computerId);
+    
+    auth.logSecurityEvent('PAIRING_SCOPES_CHANGED', { accountId: record.accountId, computerId, scopes: record.pairingScopes });
+    
+    return { success: true, scopes: record.pairingScopes };
+}
+
+/**
+ * Note a registration: refresh the inventory, connection time and the
+ * address it came from (computers behind the same one share a LAN)
+ */
+function recordConnected(computerId, info, ip) {
+    const record = computerRecords.get(computerId);
+    if (!record) return;
+    
+    record.inventory = pickInventory(info);
+    record.lastIp = ip;
+    record.lastConnectedAt = Date.now();
+    record.lastSeenAt = record.lastConnectedAt;
+    computerRecords.save(computerId);
+}
+
+/**
+ * Note the last moment the computer was known to be connected
+ */
+function recordSeen(computerId) {
+    const record = computerRecords.get(computerId);
+    if (!record) return;
+    
+    record.lastSeenAt = Date.now();
+    computerRecords.save(computerId);
+}
+
+/**
+ * Remember how to wake the computer ({mac, broadcastIp, port}, validated by the caller)
+ */
+function setWakeTarget(computerId, target) {
+    const record = computerRecords.get(computerId);
+    if (!record) return;
+    
+    record.wakeTarget = target;
+    computerRecords.save(computerId);
+}
+
+/**
+ * Give a computer a name its account's clients will recognise
+ */
+function renameComputer(computerId, name) {
+    const record = computerRecords.get(computerId);
+    if (!record) {
+        return { success: false, error: 'Computer not found' };
+    }
+    
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed || trimmed.length > REGISTRY_CONFIG.maxNameLength) {
+        return { success: false, error: `Name must be 1-${REGISTRY_CONFIG.maxNameLength} characters` };
+    }
+    
+    record.name = trimmed;
+    computerRecords.save(computerId);
+    
+    auth.logSecurityEvent('COMPUTER_RENAMED', { accountId: record.accountId, computerId, name: trimmed });
+    
+    return { success: true, name: trimmed };
+}
+
+/**
+ * Get all computers owned by an account
+ */
+function getAccountComputers(accountId) {
+    const result = [];
+    computerRecords.forEach(record => {
+        if (record.accountId === accountId) {
+            result.push(record);
+        }
+    });
+    return result;
+}
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    REGISTRY_CONFIG,
+    createComputer,
+    getComputer,
+    verifySecret,
+    rotateSecret,
+    getPairingScopes,
+    setPairingScopes,
+    renameComputer,
+    recordConnected,
+    recordSeen,
+    setWakeTarget,
+    getAccountComputers,
+    getLegacyComputerId,
+    getComputerInfo
+};
@@ -1,9 +1,16 @@
 /**
  * YAS Remote Pro - File Transfer Handler
- * Version: 3.0
+ * Version: 3.3
  * Features: Upload/Download, Chunked transfer, Progress tracking
  */
 
+const crypto = require('crypto');
+const storage = require('./storage');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+const log = logger.createLogger('file');
+
 // ============================================
 // Configuration
 // ============================================
@@ -28,37 +35,199 @@ const FILE_CONFIG = {
         // Other
         'application/octet-stream'
     ],
-    recentFilesLimit: 10
+    recentFilesLimit: 10,
+    
+    // Streaming uploads: pause the sender while the computer's socket is backed up
+    highWaterMark: 8 * 1024 * 1024,       // Pause above 8 MB buffered
+    lowWaterMark: 2 * 1024 * 1024,        // Resume below 2 MB buffered
+    drainCheckInterval: 50,               // ms between buffer checks while paused
+    maxPauseTime: 60 * 1000,              // Fail the upload if the computer hasn't drained by then
+    
+    // Resumable uploads
+    resumeWindow: 10 * 60 * 1000          // Keep interrupted uploads for 10 minutes
 };
 
+// ============================================
+// Binary Framing
+// ============================================
+// Frame layout (big-endian):
+//   [0]     magic 0x59 ('Y')
+//   [1]     frame type
+//   [2]     transferId length (n)
+//   [3..]   transferId (n bytes, ascii)
+//   [+4]    chunk index (uint32)
+//   [+32]   SHA-256 of the payload (FILE_CHUNK_SHA256 frames only)
+//   [rest]  raw chunk payload
+const FRAME_MAGIC = 0x59;
+const FRAME_TYPES = {
+    FILE_CHUNK: 1,
+    FILE_CHUNK_SHA256: 2
+};
+const BINARY_CAPABILITY = 'binary_chunks';
+const STREAM_CAPABILITY = 'stream_upload';
+const CHECKSUM_CAPABILITY = 'chunk_sha256';   // peer understands FILE_CHUNK_SHA256 frames
+
 // ============================================
 // Data Stores
 // ============================================
 const activeTransfers = new Map();  // transferId -> TransferData
-const recentFiles = new Map();      // password -> [{name, size, type, timestamp, direction}]
+const recentFiles = storage.collection('recentFiles');  // accountId -> [{name, size, type, timestamp, direction}]
 
 // ============================================
 // Transfer Class
 // ============================================
 class FileTransfer {
-    constructor(id, fileName, fileSize, fileType, direction, password) {
+    constructor(id, fileName, fileSize, fileType, direction, accountId, requesterId = null, streaming = false) {
         this.id = id;
         this.fileName = fileName;
         this.fileSize = fileSize;
         this.fileType = fileType;
         this.direction = direction;  // 'upload' or 'download'
-        this.password = password;
+        this.accountId = accountId;
+        this.requesterId = requesterId;  // sessionId that owns the transfer
+        this.computerId = null;          // computer receiving a streamed upload, or sending a download
+        this.streaming = streaming;      // chunks forwarded as they arrive, not kept
+        this.chunkSize = FILE_CONFIG.chunkSize;
+        this.totalChunks = null;         // declared by the sender when fileSize is unknown
         this.chunks = [];
+        this.receivedChunks = new Set(); // chunk indexes received so far
+        this.highestChunk = -1;
+        this.chunkDigests = new Map();   // chunk index -> sha256 hex, to tell resends from conflicts
+        this.duplicates = 0;
+        this.expectedSha256 = null;      // whole-file hash declared by the sender
+        this.hash = crypto.createHash('sha256');
+        this.hashedChunks = 0;           // chunks folded into the running hash, in order
+        this.hashBroken = false;         // streamed chunks arrived out of order
+        this.sha256 = null;
         this.receivedSize = 0;
         this.startTime = Date.now();
-        this.status = 'pending';  // pending, transferring, completed, failed, cancelled
+        this.status = 'pending';  // pending, transferring, interrupted, completed, failed, cancelled
+        this.interruptedAt = null;
         this.error = null;
+        
+        metrics.increment('transfers_started_total', { direction });
     }
     
     addChunk(chunk, index) {
-        this.chunks[index] = chunk;
+        const digest = sha256Hex(chunk);
+        
+        // Resent chunks after a resume are ignored, conflicting ones rejected
+        if (this.receivedChunks.has(index)) {
+            if (this.chunkDigests.get(index) !== digest) {
+                return { accepted: false, error: 'duplicate_mismatch' };
+            }
+            this.duplicates++;
+            return { accepted: false, duplicate: true };
+        }
+        
+        if (!this.streaming) {
+            this.chunks[index] = chunk;
+        }
+        this.receivedChunks.add(index);
+        this.highestChunk = Math.max(this.highestChunk, index);
+        this.chunkDigests.set(index, digest);
         this.receivedSize += chunk.length;
         this.status = 'transferring';
+        this.updateHash(index, chunk);
+        metrics.increment('transfer_bytes_total', { direction: this.direction }, chunk.length);
+        return { accepted: true };
+    }
+    
+    updateHash(index, chunk) {
+        if (this.hashBroken) return;
+        
+        if (index !== this.hashedChunks) {
+            // Buffered chunks are folded in once the gap fills; streamed ones are gone
+            if (this.streaming) this.hashBroken = true;
+            return;
+        }
+        
+        this.hash.update(chunk);
+        this.hashedChunks++;
+        
+        while (!this.streaming && this.chunks[this.hashedChunks]) {
+            this.hash.update(this.chunks[this.hashedChunks]);
+            this.hashedChunks++;
+        }
+    }
+    
+    getSha256() {
+        if (this.sha256) return this.sha256;
+        if (this.hashBroken || this.hashedChunks !== this.receivedChunks.size) return null;
+        this.sha256 = this.hash.digest('hex');
+        return this.sha256;
+    }
+    
+    /**
+     * Expected chunk count, or null for a download that declared no size
+     */
+    getTotalChunks() {
+        if (this.totalChunks) return this.totalChunks;
+        if (this.direction === 'download' && !this.fileSize) return null;
+        return Math.max(1, Math.ceil(this.fileSize / this.chunkSize));
+    }
+    
+    getExpectedChunkLength(index) {
+        const total = this.getTotalChunks();
+        return index < total - 1 ? this.chunkSize : this.fileSize - this.chunkSize * (total - 1);
+    }
+    
+    /**
+     * Check the received file against what the sender declared
+     */
+    verify() {
+        const missingChunks = this.getMissingChunks();
+        if (missingChunks.length > 0) {
+            return { valid: false, reason: 'missing_chunks', missingChunks };
+        }
+        
+        if (this.fileSize && this.receivedSize !== this.fileSize) {
+            return { valid: false, reason: 'size_mismatch', expectedSize: this.fileSize, receivedSize: this.receivedSize };
+        }
+        
+        const actualSha256 = this.getSha256();
+        if (this.expectedSha256 && actualSha256 && actualSha256 !== this.expectedSha256) {
+            return { valid: false, reason: 'sha256_mismatch', expectedSha256: this.expectedSha256, actualSha256 };
+        }
+        
+        return {
+            valid: true,
+            sha256: actualSha256,
+            // Out-of-order streamed uploads can only be hashed by the receiver
+            deferred: !!this.expectedSha256 && !actualSha256,
+            duplicates: this.duplicates
+        };
+    }
+    
+    getMissingChunks() {
+        // Empty files need no chunks
+        if (this.fileSize === 0 && this.direction === 'upload') return [];
+        
+        const total = this.getTotalChunks() ?? this.highestChunk + 1;
+        const missing = [];
+        for (let i = 0; i < total; i++) {
+            if (!this.receivedChunks.has(i)) missing.push(i);
+        }
+        return missing;
+    }
+    
+    getResumeState() {
+        return {
+            transferId: this.id,
+            fileName: this.fileName,
+            fileSize: this.fileSize,
+            status: this.status,
+            chunkSize: this.chunkSize,
+            totalChunks: this.getTotalChunks(),
+            receivedChunks: Array.from(this.receivedChunks).sort((a, b) => a - b),
+            missingChunks: this.getMissingChunks(),
+            receivedSize: this.receivedSize
+        };
+    }
+    
+    interrupt() {
+        this.status = 'interrupted';
+        this.interruptedAt = Date.now();
     }
     
     getProgress() {
@@ -67,7 +236,8 @@ class FileTransfer {
             fileName: this.fileName,
             fileSize: this.fileSize,
             receivedSize: this.receivedSize,
-            progress: Math.round((this.receivedSize / this.fileSize) * 100),
+            // Downloads that declared no size report bytes only
+            progress: this.fileSize ? Math.round((this.receivedSize / this.fileSize) * 100) : 0,
             status: this.status,
             speed: this.getSpeed(),
             eta: this.getETA()
@@ -82,23 +252,32 @@ class FileTransfer {
     
     getETA() {
         const speed = this.getSpeed();
-        if (speed === 0) return 0;
+        if (speed === 0 || !this.fileSize) return 0;
         const remaining = this.fileSize - this.receivedSize;
         return Math.round(remaining / speed);  // seconds
     }
     
     complete() {
-        this.status = 'completed';
+        this.finish('completed');
+        if (this.streaming) return null;
         return Buffer.concat(this.chunks.filter(c => c));
     }
     
     fail(error) {
-        this.status = 'failed';
+        this.finish('failed');
         this.error = error;
     }
     
     cancel() {
-        this.status = 'cancelled';
+        this.finish('cancelled');
+    }
+    
+    finish(status) {
+        // Count each transfer's outcome once
+        if (!['completed', 'failed', 'cancelled'].includes(this.status)) {
+            metrics.increment(`transfers_${status}_total`, { direction: this.direction });
+        }
+        this.status = status;
     }
 }
 
@@ -106,11 +285,37 @@ class FileTransfer {
 // Helper Functions
 // ============================================
 
+/**
+ * Logger carrying a transfer's context
+ */
+function transferLog(transfer) {
+    return log.child({
+        transferId: transfer.id,
+        sessionId: transfer.requesterId,
+        computerId: transfer.computerId || undefined,
+        fileName: transfer.fileName
+    });
+}
+
+/**
+ * SHA-256 of a buffer as hex
+ */
+function sha256Hex(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Validate a declared SHA-256 (hex)
+ */
+function isValidSha256(value) {
+    return typeof value === 'string' && /^[a-f0-9]{64}$/i.test(value);
+}
+
 /**
  * Generate unique transfer ID
  */
 function generateTransferId() {
-    return 'tr_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+    return 'tr_' + crypto.randomBytes(16).toString('hex');
 }
 
 /**
@@ -138,15 +343,52 @@ function getFileExtension(fileName) {
     return fileName.split('.').pop().toLowerCase();
 }
 
+/**
+ * Encode a file chunk as a binary frame (with its SHA-256 when given)
+ */
+function encodeChunkFrame(transferId, chunkIndex, payload, checksum = null) {
+    const id = Buffer.from(String(transferId), 'ascii');
+    const digest = checksum ? Buffer.from(checksum, 'hex') : Buffer.alloc(0);
+    const header = Buffer.alloc(3 + id.length + 4 + digest.length);
+    header[0] = FRAME_MAGIC;
+    header[1] = checksum ? FRAME_TYPES.FILE_CHUNK_SHA256 : FRAME_TYPES.FILE_CHUNK;
+    header[2] = id.length;
+    id.copy(header, 3);
+    header.writeUInt32BE(chunkIndex, 3 + id.length);
+    digest.copy(header, 3 + id.length + 4);
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode a binary frame, or null if malformed
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 7 || buffer[0] !== FRAME_MAGIC) return null;
+    
+    const type = buffer[1];
+    const idLength = buffer[2];
+    const digestLength = type === FRAME_TYPES.FILE_CHUNK_SHA256 ? 32 : 0;
+    const headerLength = 3 + idLength + 4 + digestLength;
+    if (buffer.length < headerLength) return null;
+    
+    return {
+        type,
+        transferId: buffer.toString('ascii', 3, 3 + idLength),
+        chunkIndex: buffer.readUInt32BE(3 + idLength),
+        checksum: digestLength ? buffer.toString('hex', headerLength - digestLength, headerLength) : null,
+        payload: buffer.subarray(headerLength)
+    };
+}
+
 /**
  * Add to recent files
  */
-function addToRecentFiles(password, fileInfo) {
-    if (!recentFiles.has(password)) {
-        recentFiles.set(password, []);
+function addToRecentFiles(accountId, fileInfo) {
+    if (!recentFiles.has(accountId)) {
+        recentFiles.set(accountId, []);
     }
     
-    const files = recentFiles.get(password);
+    const files = recentFiles.get(accountId);
     files.unshift({
         name: fileInfo.fileName,
         size: fileInfo.fileSize,
@@ -161,6 +403,8 @@ function addToRecentFiles(password, fileInfo) {
     if (files.length > FILE_CONFIG.recentFilesLimit) {
         files.pop();
     }
+    
+    recentFiles.save(accountId);
 }
 
 // ============================================
@@ -169,9 +413,21 @@ function addToRecentFiles(password, fileInfo) {
 
 /**
  * Start a new upload transfer
+ * Options: sessionId (owner), computerId (destination),
+ * streaming (chunks handed back to the caller to forward instead of buffered)
  */
-function startUpload(fileName, fileSize, fileType, password) {
+function startUpload(fileName, fileSize, fileType, accountId, options = {}) {
+    const { sessionId = null, computerId = null, streaming = false, sha256 = null } = options;
+    
     // Validate
+    if (!Number.isInteger(fileSize) || fileSize < 0) {
+        return { success: false, error: 'Invalid file size' };
+    }
+    
+    if (sha256 !== null && !isValidSha256(sha256)) {
+        return { success: false, error: 'Invalid SHA-256' };
+    }
+    
     if (fileSize > FILE_CONFIG.maxFileSize) {
         return {
             success: false,
@@ -188,40 +444,69 @@ function startUpload(fileName, fileSize, fileType, password) {
     
     // Create transfer
     const id = generateTransferId();
-    const transfer = new FileTransfer(id, fileName, fileSize, fileType, 'upload', password);
+    const transfer = new FileTransfer(id, fileName, fileSize, fileType, 'upload', accountId, sessionId, streaming);
+    transfer.computerId = computerId;
+    transfer.expectedSha256 = sha256 ? sha256.toLowerCase() : null;
     activeTransfers.set(id, transfer);
     
-    console.log(`[FILE] Upload started: ${fileName} (${formatFileSize(fileSize)})`);
+    transferLog(transfer).info('Upload started', { fileName, fileSize });
     
     return {
         success: true,
         transferId: id,
         chunkSize: FILE_CONFIG.chunkSize,
-        totalChunks: Math.ceil(fileSize / FILE_CONFIG.chunkSize)
+        totalChunks: transfer.getTotalChunks()
     };
 }
 
 /**
- * Receive a chunk
+ * Receive a chunk (base64 string from JSON, or raw Buffer from a binary frame).
+ * A per-chunk SHA-256, when sent, is checked before the chunk is accepted.
  */
-function receiveChunk(transferId, chunkIndex, chunkData) {
+function receiveChunk(transferId, chunkIndex, chunkData, checksum = null) {
     const transfer = activeTransfers.get(transferId);
     
     if (!transfer) {
         return { success: false, error: 'Transfer not found' };
     }
     
-    if (transfer.status === 'cancelled' || transfer.status === 'failed') {
-        return { success: false, error: 'Transfer cancelled or failed' };
+    if (['cancelled', 'failed', 'interrupted'].includes(transfer.status)) {
+        return { success: false, error: `Transfer ${transfer.status}` };
+    }
+    
+    const totalChunks = transfer.getTotalChunks();
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || (totalChunks !== null && chunkIndex >= totalChunks)) {
+        return { success: false, error: 'Invalid chunk index' };
     }
     
-    // Decode base64 chunk
-    const buffer = Buffer.from(chunkData, 'base64');
-    transfer.addChunk(buffer, chunkIndex);
+    const buffer = Buffer.isBuffer(chunkData) ? chunkData : Buffer.from(chunkData, 'base64');
+    
+    if (checksum && sha256Hex(buffer) !== String(checksum).toLowerCase()) {
+        return { success: false, error: 'Chunk checksum mismatch', details: { reason: 'chunk_checksum_mismatch', chunkIndex } };
+    }
+    
+    // Download sizes are only known once the computer declares them
+    const expectedLength = transfer.direction === 'upload' || transfer.fileSize
+        ? transfer.getExpectedChunkLength(chunkIndex)
+        : null;
+    if (expectedLength !== null && buffer.length !== expectedLength) {
+        return {
+            success: false,
+            error: 'Chunk size mismatch',
+            details: { reason: 'chunk_size_mismatch', chunkIndex, expectedSize: expectedLength, receivedSize: buffer.length }
+        };
+    }
+    
+    const added = transfer.addChunk(buffer, chunkIndex);
+    if (added.error) {
+        return { success: false, error: 'Conflicting duplicate chunk', details: { reason: added.error, chunkIndex } };
+    }
     
     return {
         success: true,
-        progress: transfer.getProgress()
+        progress: transfer.getProgress(),
+        duplicate: !!added.duplicate,
+        chunk: transfer.streaming && added.accepted ? buffer : null
     };
 }
 
@@ -235,17 +520,33 @@ function completeUpload(transferId) {
         return { success: false, error: 'Transfer not found' };
     }
     
+    if (transfer.status !== 'transferring' && transfer.status !== 'pending') {
+        return { success: false, error: `Transfer ${transfer.status}` };
+    }
+    
+    const verification = transfer.verify();
+    if (!verification.valid) {
+        // Missing chunks can still be sent; anything else means corrupt data
+        const retryable = verification.reason === 'missing_chunks';
+        if (!retryable) {
+            transfer.fail(verification.reason);
+            setTimeout(() => activeTransfers.delete(transferId), 60000);
+        }
+        transferLog(transfer).warn('Upload failed verification', { reason: verification.reason, retryable });
+        return { success: false, error: 'Verification failed', details: verification, retryable };
+    }
+    
     const fileData = transfer.complete();
     
     // Add to recent files
-    addToRecentFiles(transfer.password, {
+    addToRecentFiles(transfer.accountId, {
         fileName: transfer.fileName,
         fileSize: transfer.fileSize,
         fileType: transfer.fileType,
         direction: 'upload'
     });
     
-    console.log(`[FILE] Upload completed: ${transfer.fileName}`);
+    transferLog(transfer).info('Upload completed', { fileSize: transfer.receivedSize, sha256: transfer.sha256 });
     
     // Cleanup after a delay
     setTimeout(() => {
@@ -256,28 +557,61 @@ function completeUpload(transferId) {
         success: true,
         fileName: transfer.fileName,
         fileSize: transfer.fileSize,
-        fileData: fileData.toString('base64')
+        fileData: fileData,
+        streaming: transfer.streaming,
+        sha256: verification.sha256 || transfer.expectedSha256,
+        deferred: verification.deferred
     };
 }
 
 /**
  * Start download (request file from PC)
  */
-function startDownload(filePath, password) {
+function startDownload(filePath, accountId, options = {}) {
+    const { sessionId = null, computerId = null } = options;
     const id = generateTransferId();
     
-    // Create transfer placeholder
-    const transfer = new FileTransfer(id, filePath, 0, 'unknown', 'download', password);
+    // Create transfer placeholder; chunks are relayed to the requester, not kept
+    const transfer = new FileTransfer(id, filePath, 0, 'unknown', 'download', accountId, sessionId, true);
+    transfer.computerId = computerId;
     activeTransfers.set(id, transfer);
     
-    console.log(`[FILE] Download requested: ${filePath}`);
+    transferLog(transfer).info('Download requested', { filePath });
     
     return {
         success: true,
-        transferId: id
+        transferId: id,
+        chunkSize: transfer.chunkSize
     };
 }
 
+/**
+ * Record what the computer declared about a file it is about to send
+ */
+function declareDownload(transferId, info = {}) {
+    const transfer = activeTransfers.get(transferId);
+    if (!transfer || transfer.direction !== 'download') {
+        return { success: false, error: 'Transfer not found' };
+    }
+    
+    if (info.sha256 != null && !isValidSha256(info.sha256)) {
+        return { success: false, error: 'Invalid SHA-256' };
+    }
+    
+    transfer.fileName = info.fileName || transfer.fileName;
+    transfer.fileSize = Number.isInteger(info.fileSize) && info.fileSize > 0 ? info.fileSize : 0;
+    transfer.expectedSha256 = info.sha256 ? info.sha256.toLowerCase() : null;
+    
+    if (Number.isInteger(info.chunkSize) && info.chunkSize > 0) {
+        transfer.chunkSize = info.chunkSize;
+    }
+    if (Number.isInteger(info.totalChunks) && info.totalChunks > 0) {
+        transfer.totalChunks = info.totalChunks;
+    }
+    
+    return { success: true };
+}
+
 /**
  * Cancel transfer
  */
@@ -287,13 +621,172 @@ function cancelTransfer(transferId) {
     if (transfer) {
         transfer.cancel();
         activeTransfers.delete(transferId);
-        console.log(`[FILE] Transfer cancelled: ${transfer.fileName}`);
+        transferLog(transfer).info('Transfer cancelled', { direction: transfer.direction });
         return { success: true };
     }
     
     return { success: false, error: 'Transfer not found' };
 }
 
+/**
+ * Suspend a session's uploads so they can be resumed from another session
+ */
+function interruptSessionTransfers(sessionId) {
+    let interrupted = 0;
+    
+    activeTransfers.forEach(transfer => {
+        if (transfer.requesterId === sessionId && transfer.direction === 'upload' &&
+            ['pending', 'transferring'].includes(transfer.status)) {
+            transfer.interrupt();
+            interrupted++;
+        }
+    });
+    
+    if (interrupted > 0) {
+        log.info('Uploads interrupted', { sessionId, count: interrupted, resumeWindowMinutes: FILE_CONFIG.resumeWindow / 60000 });
+    }
+    
+    return interrupted;
+}
+
+/**
+ * Cancel downloads nobody is left to receive
+ */
+function cancelSessionDownloads(sessionId) {
+    return takeActiveDownloads(transfer => transfer.requesterId === sessionId, transfer => transfer.cancel());
+}
+
+/**
+ * Fail downloads from a computer that went away
+ */
+function failComputerDownloads(computerId) {
+    return takeActiveDownloads(transfer => transfer.computerId === computerId, transfer => transfer.fail('Computer disconnected'));
+}
+
+function takeActiveDownloads(match, settle) {
+    const taken = [];
+    
+    activeTransfers.forEach((transfer, id) => {
+        if (transfer.direction === 'download' && match(transfer) &&
+            ['pending', 'transferring'].includes(transfer.status)) {
+            settle(transfer);
+            activeTransfers.delete(id);
+            taken.push(transfer);
+        }
+    });
+    
+    if (taken.length > 0) {
+        log.info('Downloads stopped', { transferIds: taken.map(t => t.id), status: taken[0].status });
+    }
+    
+    return taken;
+}
+
+/**
+ * Get resume state of an upload owned by an account
+ */
+function getUploadState(transferId, accountId) {
+    const transfer = activeTransfers.get(transferId);
+    
+    if (!transfer || transfer.accountId !== accountId || transfer.direction !== 'upload') {
+        return { success: false, error: 'Transfer not found' };
+    }
+    
+    return { success: true, state: transfer.getResumeState() };
+}
+
+/**
+ * Re-attach an upload to a new session of the same account
+ */
+function reattachUpload(transferId, accountId, sessionId) {
+    const transfer = activeTransfers.get(transferId);
+    
+    if (!transfer || transfer.accountId !== accountId || transfer.direction !== 'upload') {
+        return { success: false, error: 'Transfer not found' };
+    }
+    
+    if (['completed', 'failed', 'cancelled'].includes(transfer.status)) {
+        return { success: false, error: `Transfer ${transfer.status}` };
+    }
+    
+    transfer.requesterId = sessionId;
+    transfer.interruptedAt = null;
+    transfer.status = transfer.receivedChunks.size > 0 ? 'transferring' : 'pending';
+    
+    transferLog(transfer).info('Upload resumed', { receivedChunks: transfer.receivedChunks.size, totalChunks: transfer.getTotalChunks() });
+    
+    return { success: true, transfer, state: transfer.getResumeState() };
+}
+
+/**
+ * Drop interrupted uploads past the resume window
+ * Returns the expired transfers so callers can notify their computers.
+ */
+function expireInterruptedTransfers() {
+    const expired = [];
+    
+    activeTransfers.forEach((transfer, id) => {
+        if (transfer.status === 'interrupted' &&
+            Date.now() - transfer.interruptedAt > FILE_CONFIG.resumeWindow) {
+            transfer.fail('Resume window expired');
+            activeTransfers.delete(id);
+            expired.push(transfer);
+        }
+    });
+    
+    if (expired.length > 0) {
+        log.info('Interrupted uploads expired', { transferIds: expired.map(t => t.id) });
+    }
+    
+    return expired;
+}
+
+/**
+ * Get transfer by ID
+ */
+function getTransfer(transferId) {
+    return activeTransfers.get(transferId) || null;
+}
+
+/**
+ * Finish a download and schedule cleanup.
+ * Verifies the relayed chunks against the computer's declaration.
+ */
+function finishDownload(transferId) {
+    const transfer = activeTransfers.get(transferId);
+    if (!transfer) {
+        return { success: false, error: 'Transfer not found' };
+    }
+    
+    const verification = transfer.verify();
+    setTimeout(() => {
+        activeTransfers.delete(transferId);
+    }, 60000);
+    
+    if (!verification.valid) {
+        transfer.fail(verification.reason);
+        transferLog(transfer).warn('Download failed verification', { reason: verification.reason });
+        return { success: false, error: 'Verification failed', details: verification };
+    }
+    
+    transfer.complete();
+    
+    addToRecentFiles(transfer.accountId, {
+        fileName: transfer.fileName,
+        fileSize: transfer.fileSize || transfer.receivedSize,
+        fileType: transfer.fileType,
+        direction: 'download'
+    });
+    
+    transferLog(transfer).info('Download completed', { fileSize: transfer.receivedSize, sha256: verification.sha256 });
+    
+    return {
+        success: true,
+        sha256: verification.sha256,
+        verified: !!transfer.expectedSha256 && verification.sha256 === transfer.expectedSha256
+    };
+}
+
 /**
  * Get transfer progress
  */
@@ -308,13 +801,13 @@ function getTransferProgress(transferId) {
 }
 
 /**
- * Get active transfers for a password
+ * Get active transfers for an account
  */
-function getActiveTransfers(password) {
+function getActiveTransfers(accountId) {
     const transfers = [];
     
     activeTransfers.forEach((transfer, id) => {
-        if (transfer.password === password && transfer.status !== 'completed') {
+        if (transfer.accountId === accountId && transfer.status !== 'completed') {
             transfers.push(transfer.getProgress());
         }
     });
@@ -323,17 +816,37 @@ function getActiveTransfers(password) {
 }
 
 /**
- * Get recent files for a password
+ * Get unfinished transfers of every account (relay operator only)
+ */
+function getAllTransfers() {
+    const transfers = [];
+    
+    activeTransfers.forEach(transfer => {
+        if (transfer.status !== 'completed') {
+            transfers.push({
+                ...transfer.getProgress(),
+                direction: transfer.direction,
+                accountId: transfer.accountId,
+                computerId: transfer.computerId
+            });
+        }
+    });
+    
+    return transfers;
+}
+
+/**
+ * Get recent files for an account
  */
-function getRecentFiles(password) {
-    return recentFiles.get(password) || [];
+function getRecentFiles(accountId) {
+    return recentFiles.get(accountId) || [];
 }
 
 /**
  * Clear recent files
  */
-function clearRecentFiles(password) {
-    recentFiles.delete(password);
+function clearRecentFiles(accountId) {
+    recentFiles.delete(accountId);
     return { success: true };
 }
 
@@ -342,23 +855,43 @@ function clearRecentFiles(password) {
 // ============================================
 module.exports = {
     FILE_CONFIG,
+    FRAME_TYPES,
+    BINARY_CAPABILITY,
+    STREAM_CAPABILITY,
+    CHECKSUM_CAPABILITY,
     
     // Transfer management
     startUpload,
     receiveChunk,
     completeUpload,
     startDownload,
+    declareDownload,
+    finishDownload,
+    getTransfer,
     cancelTransfer,
+    interruptSessionTransfers,
+    cancelSessionDownloads,
+    failComputerDownloads,
+    getUploadState,
+    reattachUpload,
+    expireInterruptedTransfers,
     getTransferProgress,
     getActiveTransfers,
+    getAllTransfers,
     
     // Recent files
     getRecentFiles,
     clearRecentFiles,
     addToRecentFiles,
     
+    // Binary framing
+    encodeChunkFrame,
+    decodeFrame,
+    
     // Helpers
     generateTransferId,
+    sha256Hex,
+    isValidSha256,
     formatFileSize,
     isValidFileType,
     getFileExtension
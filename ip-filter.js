@@ -0,0 +1,200 @@
+/**
+ * YAS Remote Pro - IP Filter Module
+ * Version: 3.3
+ * Features: CIDR allow/deny lists (IPv4 and IPv6), Trusted proxies and X-Forwarded-For
+ */
+
+const net = require('net');
+
+// ============================================
+// Configuration
+// ============================================
+function parseList(value) {
+    return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+const IP_FILTER_CONFIG = {
+    allowlist: parseList(process.env.IP_ALLOWLIST),          // Empty: every address may connect
+    denylist: parseList(process.env.IP_DENYLIST),
+    trustedProxies: parseList(process.env.TRUSTED_PROXIES),  // Only these may set X-Forwarded-For
+    maxRulesPerList: 50
+};
+
+// ============================================
+// Address Parsing
+// ============================================
+
+/**
+ * Strip IPv4-mapped IPv6 prefixes and zone IDs
+ */
+function normalizeIp(ip) {
+    let address = String(ip || '').trim();
+    const zone = address.indexOf('%');
+    if (zone !== -1) address = address.substring(0, zone);
+    if (/^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(address)) address = address.substring(7);
+    return address;
+}
+
+/**
+ * Address as bytes (4 for IPv4, 16 for IPv6), or null
+ */
+function toBytes(ip) {
+    const address = normalizeIp(ip);
+    const version = net.isIP(address);
+    
+    if (version === 4) {
+        return Buffer.from(address.split('.').map(Number));
+    }
+    if (version !== 6) return null;
+    
+    // Expand '::' and a trailing embedded IPv4 address into eight groups
+    let text = address;
+    const v4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4) {
+        const b = v4[1].split('.').map(Number);
+        text = text.slice(0, -v4[1].length) + ((b[0] << 8) | b[1]).toString(16) + ':' + ((b[2] << 8) | b[3]).toString(16);
+    }
+    
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+    const groups = tail === undefined
+        ? headGroups
+        : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    
+    const bytes = Buffer.alloc(16);
+    groups.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+    return bytes;
+}
+
+/**
+ * Parse "10.0.0.0/8", "2001:db8::/32" or a bare address.
+ * Returns {bytes, prefix} or null.
+ */
+function parseCidr(text) {
+    const [address, bits, extra] = String(text || '').trim().split('/');
+    if (extra !== undefined) return null;
+    
+    const bytes = toBytes(address);
+    if (!bytes) return null;
+    
+    const maxPrefix = bytes.length * 8;
+    const prefix = bits === undefined ? maxPrefix : Number(bits);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix || (bits !== undefined && !/^\d+$/.test(bits))) {
+        return null;
+    }
+    
+    return { bytes, prefix };
+}
+
+function matchesCidr(bytes, cidr) {
+    if (!bytes || bytes.length !== cidr.bytes.length) return false;
+    
+    const fullBytes = Math.floor(cidr.prefix / 8);
+    for (let i = 0; i < fullBytes; i++) {
+        if (bytes[i] !== cidr.bytes[i]) return false;
+    }
+    
+    const remaining = cidr.prefix % 8;
+    if (remaining === 0) return true;
+    const mask = (0xff << (8 - remaining)) & 0xff;
+    return (bytes[fullBytes] & mask) === (cidr.bytes[fullBytes] & mask);
+}
+
+/**
+ * Check if an address falls in any of the listed ranges
+ */
+function matchesAny(ip, list) {
+    const bytes = toBytes(ip);
+    return list.some(rule => {
+        const cidr = parseCidr(rule);
+        return cidr !== null && matchesCidr(bytes, cidr);
+    });
+}
+
+// ============================================
+// Rules
+// ============================================
+
+/**
+ * Validate a list of CIDR rules as typed by a user
+ */
+function validateRules(list) {
+    if (!Array.isArray(list)) {
+        return { valid: false, reason: 'Rules must be a list' };
+    }
+    if (list.length > IP_FILTER_CONFIG.maxRulesPerList) {
+        return { valid: false, reason: `At most ${IP_FILTER_CONFIG.maxRulesPerList} rules per list` };
+    }
+    
+    const invalid = list.find(rule => parseCidr(rule) === null);
+    if (invalid !== undefined) {
+        return { valid: false, reason: `Invalid address or range: ${invalid}` };
+    }
+    
+    return { valid: true, rules: list.map(rule => String(rule).trim()) };
+}
+
+/**
+ * Apply allow/deny lists: a deny match always wins; a non-empty
+ * allowlist admits only the addresses it covers
+ */
+function isAllowed(ip, { allow = [], deny = [] } = {}) {
+    if (deny.length > 0 && matchesAny(ip, deny)) {
+        return { allowed: false, reason: 'denied' };
+    }
+    if (allow.length > 0 && !matchesAny(ip, allow)) {
+        return { allowed: false, reason: 'not_allowed' };
+    }
+    return { allowed: true };
+}
+
+/**
+ * Relay-wide lists from the environment
+ */
+function checkGlobal(ip) {
+    return isAllowed(ip, { allow: IP_FILTER_CONFIG.allowlist, deny: IP_FILTER_CONFIG.denylist });
+}
+
+// ============================================
+// Client Address
+// ============================================
+
+/**
+ * The client's address: the socket peer, or the X-Forwarded-For entry
+ * nearest to us that was not added by one of our trusted proxies
+ */
+function getClientIp(req) {
+    const peer = normalizeIp(req.socket.remoteAddress);
+    const trusted = IP_FILTER_CONFIG.trustedProxies;
+    if (trusted.length === 0 || !matchesAny(peer, trusted)) {
+        return peer;
+    }
+    
+    const header = req.headers['x-forwarded-for'];
+    if (!header) return peer;
+    
+    const hops = parseList(Array.isArray(header) ? header.join(',') : header).map(normalizeIp);
+    for (let i = hops.length - 1; i >= 0; i--) {
+        // Anything left of a malformed entry could be forged; blame the proxy
+        if (!net.isIP(hops[i])) return peer;
+        if (!matchesAny(hops[i], trusted)) return hops[i];
+    }
+    
+    // Every hop is one of ours
+    return hops[0] || peer;
+}
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    IP_FILTER_CONFIG,
+    normalizeIp,
+    parseCidr,
+    matchesAny,
+    validateRules,
+    isAllowed,
+    checkGlobal,
+    getClientIp
+};
@@ -0,0 +1,187 @@
+/**
+ * YAS Remote Pro - Logging Module
+ * Version: 3.3
+ * Features: JSON lines, Levels, Subsystem/session context, Rotating log files, Redaction
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// Configuration
+// ============================================
+const LOG_CONFIG = {
+    level: process.env.LOG_LEVEL || 'info',                           // debug, info, warn, error
+    console: process.env.LOG_CONSOLE !== 'false',                     // Also write to stdout/stderr
+    file: process.env.LOG_FILE || null,                               // e.g. /var/log/yas/relay.log
+    maxFileSize: parseInt(process.env.LOG_MAX_SIZE, 10) || 10 * 1024 * 1024,  // Rotate at 10 MB
+    maxFiles: parseInt(process.env.LOG_MAX_FILES, 10) || 5            // relay.log.1 ... relay.log.5
+};
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// ============================================
+// Redaction
+// ============================================
+// Field names whose values are never written (IDs of secrets are fine)
+const SECRET_KEYS = /^(?!.*id$).*(password|passphrase|secret|token|authorization|cookie)|^(otp|code|recoveryCodes?)$/i;
+
+// Secrets embedded in free text: "password=hunter2", "Bearer abc", API tokens
+const SECRET_PATTERNS = [
+    [/((?:pass(?:word)?|secret|token)["']?\s*[:=]\s*["']?)[^\s"',&}]+/gi, '$1[REDACTED]'],
+    [/(Bearer\s+)[A-Za-z0-9._~+/=-]+/g, '$1[REDACTED]'],
+    [/\byat_[A-Za-z0-9]+/g, 'yat_[REDACTED]']
+];
+
+const MAX_DEPTH = 5;
+
+function redactString(text) {
+    return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Copy a value with secrets masked. Session IDs are credentials too,
+ * so only their prefix is kept (enough to correlate lines).
+ */
+function redact(value, key = '', depth = 0) {
+    if (value === null || value === undefined) return value;
+    
+    if (key && SECRET_KEYS.test(key)) return '[REDACTED]';
+    
+    if (key === 'sessionId' && typeof value === 'string') {
+        return value.length > 10 ? value.substring(0, 10) + '...' : value;
+    }
+    
+    if (value instanceof Error) {
+        return { message: redactString(value.message), stack: value.stack ? redactString(value.stack) : undefined };
+    }
+    
+    if (Buffer.isBuffer(value)) return `<${value.length} bytes>`;
+    
+    if (typeof value === 'string') return redactString(value);
+    
+    if (typeof value !== 'object') return value;
+    
+    if (depth >= MAX_DEPTH) return '[Object]';
+    
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, '', depth + 1));
+    }
+    
+    const result = {};
+    Object.entries(value).forEach(([k, v]) => {
+        result[k] = redact(v, k, depth + 1);
+    });
+    return result;
+}
+
+// ============================================
+// File Output
+// ============================================
+let fileSize = null;
+
+/**
+ * Shift relay.log -> relay.log.1 -> ... and drop the oldest
+ */
+function rotate() {
+    const file = LOG_CONFIG.file;
+    try {
+        fs.rmSync(`${file}.${LOG_CONFIG.maxFiles}`, { force: true });
+        for (let i = LOG_CONFIG.maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${file}.${i}`)) {
+                fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+            }
+        }
+        if (fs.existsSync(file)) {
+            fs.renameSync(file, `${file}.1`);
+        }
+    } catch (e) {
+        process.stderr.write(`[LOG] Failed to rotate ${file}: ${e.message}\n`);
+    }
+    fileSize = 0;
+}
+
+function writeToFile(line) {
+    const file = LOG_CONFIG.file;
+    try {
+        if (fileSize === null) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fileSize = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        }
+        
+        const size = Buffer.byteLength(line);
+        if (fileSize > 0 && fileSize + size > LOG_CONFIG.maxFileSize) {
+            rotate();
+        }
+        
+        fs.appendFileSync(file, line);
+        fileSize += size;
+    } catch (e) {
+        process.stderr.write(`[LOG] Failed to write ${file}: ${e.message}\n`);
+    }
+}
+
+// ============================================
+// Loggers
+// ============================================
+
+function isEnabled(level) {
+    return LEVELS[level] >= (LEVELS[LOG_CONFIG.level] ?? LEVELS.info);
+}
+
+function write(level, subsystem, context, message, fields) {
+    if (!isEnabled(level)) return;
+    
+    const entry = redact({
+        timestamp: new Date().toISOString(),
+        level,
+        subsystem,
+        message,
+        ...context,
+        ...fields
+    });
+    const line = JSON.stringify(entry) + '\n';
+    
+    if (LOG_CONFIG.console) {
+        (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+    }
+    if (LOG_CONFIG.file) {
+        writeToFile(line);
+    }
+}
+
+/**
+ * Create a logger for a subsystem. Context fields (sessionId,
+ * computerId, ...) are added to every line; child() extends them.
+ */
+function createLogger(subsystem, context = {}) {
+    return {
+        debug: (message, fields) => write('debug', subsystem, context, message, fields),
+        info: (message, fields) => write('info', subsystem, context, message, fields),
+        warn: (message, fields) => write('warn', subsystem, context, message, fields),
+        error: (message, fields) => write('error', subsystem, context, message, fields),
+        child: (extra) => createLogger(subsystem, { ...context, ...extra }),
+        isEnabled
+    };
+}
+
+/**
+ * Change the level at runtime
+ */
+function setLevel(level) {
+    if (!LEVELS[level]) {
+        throw new Error(`Unknown log level: ${level}`);
+    }
+    LOG_CONFIG.level = level;
+}
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    LOG_CONFIG,
+    LEVELS,
+    createLogger,
+    setLevel,
+    redact
+};
@@ -0,0 +1,144 @@
+/**
+ * YAS Remote Pro - Metrics Module
+ * Version: 3.3
+ * Features: Counters and gauges, Prometheus text exposition
+ */
+
+const crypto = require('crypto');
+
+// ============================================
+// Configuration
+// ============================================
+const METRICS_CONFIG = {
+    prefix: 'yas_relay_',
+    token: process.env.METRICS_TOKEN || null   // Optional bearer token for /metrics
+};
+
+// ============================================
+// Metric Definitions
+// ============================================
+// Counters are incremented by the modules that see the events; gauges are
+// read from the live state when scraped.
+const COUNTERS = {
+    messages_received_total: { help: 'WebSocket messages received, by message type', labels: ['type'] },
+    relay_bytes_total: { help: 'Bytes relayed between clients and computers, by direction', labels: ['direction'] },
+    screenshot_frames_received_total: { help: 'Screenshot frames received from computers', labels: [] },
+    screenshot_frames_sent_total: { help: 'Screenshot frames sent to clients', labels: [] },
+    screenshot_frames_dropped_total: { help: 'Stale screenshot frames skipped for slow clients', labels: [] },
+    transfers_started_total: { help: 'File transfers started, by direction', labels: ['direction'] },
+    transfers_completed_total: { help: 'File transfers completed, by direction', labels: ['direction'] },
+    transfers_failed_total: { help: 'File transfers failed, by direction', labels: ['direction'] },
+    transfers_cancelled_total: { help: 'File transfers cancelled, by direction', labels: ['direction'] },
+    transfer_bytes_total: { help: 'File bytes transferred, by direction', labels: ['direction'] },
+    failed_logins_total: { help: 'Failed login attempts', labels: [] },
+    lockouts_total: { help: 'Lockouts triggered by repeated failed logins', labels: [] },
+    heartbeat_terminations_total: { help: 'Connections terminated for missing heartbeats', labels: [] },
+    rate_limited_total: { help: 'Messages rejected by rate limits', labels: ['limit'] }
+};
+
+// ============================================
+// Data Stores
+// ============================================
+const counters = new Map();  // name -> Map(labelKey -> {labels, value})
+const gauges = new Map();    // name -> {help, collect}
+
+// Unlabelled counters start at zero so they are exported before the first event
+Object.entries(COUNTERS).forEach(([name, { labels }]) => {
+    const series = new Map();
+    if (labels.length === 0) {
+        series.set('{}', { labels: {}, value: 0 });
+    }
+    counters.set(name, series);
+});
+
+// ============================================
+// Recording
+// ============================================
+
+/**
+ * Increment a counter
+ */
+function increment(name, labels = {}, value = 1) {
+    const series = counters.get(name);
+    if (!series) {
+        throw new Error(`Unknown metric: ${name}`);
+    }
+    
+    const key = JSON.stringify(labels);
+    const entry = series.get(key) || { labels, value: 0 };
+    entry.value += value;
+    series.set(key, entry);
+}
+
+/**
+ * Register a gauge read at scrape time.
+ * collect() returns a number, or [{labels, value}] for labelled series.
+ */
+function defineGauge(name, help, collect) {
+    gauges.set(name, { help, collect });
+}
+
+// ============================================
+// Scrape Authentication
+// ============================================
+
+/**
+ * Check a scraper's bearer token; open when no token is configured
+ */
+function verifyToken(token) {
+    if (!METRICS_CONFIG.token) return true;
+    if (!token) return false;
+    
+    const expected = crypto.createHash('sha256').update(METRICS_CONFIG.token).digest();
+    const actual = crypto.createHash('sha256').update(String(token)).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// ============================================
+// Exposition
+// ============================================
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatSample(name, labels, value) {
+    const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+    const suffix = pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    return `${METRICS_CONFIG.prefix}${name}${suffix} ${value}`;
+}
+
+/**
+ * Render all metrics in the Prometheus text format (version 0.0.4)
+ */
+function render() {
+    const lines = [];
+    
+    gauges.forEach(({ help, collect }, name) => {
+        lines.push(`# HELP ${METRICS_CONFIG.prefix}${name} ${help}`);
+        lines.push(`# TYPE ${METRICS_CONFIG.prefix}${name} gauge`);
+        
+        const value = collect();
+        const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+        samples.forEach(sample => lines.push(formatSample(name, sample.labels, sample.value)));
+    });
+    
+    counters.forEach((series, name) => {
+        lines.push(`# HELP ${METRICS_CONFIG.prefix}${name} ${COUNTERS[name].help}`);
+        lines.push(`# TYPE ${METRICS_CONFIG.prefix}${name} counter`);
+        series.forEach(entry => lines.push(formatSample(name, entry.labels, entry.value)));
+    });
+    
+    return lines.join('\n') + '\n';
+}
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    METRICS_CONFIG,
+    increment,
+    defineGauge,
+    verifyToken,
+    render
+};
@@ -0,0 +1,127 @@
+/**
+ * YAS Remote Pro - Permissions Module
+ * Version: 3.3
+ * Features: Session scopes, Scope presets, Per-message enforcement
+ */
+
+// ============================================
+// Configuration
+// ============================================
+const SCOPES = ['view', 'input', 'files:read', 'files:write', 'watch', 'admin'];
+
+const PERMISSION_CONFIG = {
+    // Shorthands accepted wherever scopes are
+    presets: {
+        'full': SCOPES,
+        'view-only': ['view'],
+        'files-only': ['files:read', 'files:write', 'watch']
+    },
+    
+    // Client message type -> scope required to send it
+    messageScopes: {
+        'relay': 'input',
+        'set_stream_fps': 'view',
+        'get_stream_stats': 'view',
+        'browse_files': 'files:read',
+        'file_download_request': 'files:read',
+        'get_recent_files': 'files:read',
+        'file_upload_start': 'files:write',
+        'file_chunk': 'files:write',
+        'file_upload_complete': 'files:write',
+        'file_upload_status': 'files:write',
+        'file_upload_reattach': 'files:write',
+        'file_operation': 'files:write',
+        'start_file_watcher': 'watch',
+        'stop_file_watcher': 'watch',
+        'get_watched_folders': 'watch',
+        'get_sessions': 'admin',
+        'kick_session': 'admin',
+        'set_session_scopes': 'admin',
+        'rename_computer': 'admin',
+        'wake_computer': 'admin',
+        'schedule_wake': 'admin',
+        'list_wake_schedules': 'admin',
+        'delete_wake_schedule': 'admin',
+        'get_security_log': 'admin',
+        'get_trusted_devices': 'admin',
+        'get_ip_rules': 'admin',
+        'set_ip_rules': 'admin',
+        'change_password': 'admin',
+        'two_factor_status': 'admin',
+        'two_factor_setup': 'admin',
+        'two_factor_confirm': 'admin',
+        'two_factor_disable': 'admin',
+        'two_factor_recovery_codes': 'admin'
+    },
+    
+    // file_cancel needs the scope that started the transfer, by its direction
+    transferScopes: {
+        'upload': 'files:write',
+        'download': 'files:read'
+    }
+};
+
+// ============================================
+// Scope Helpers
+// ============================================
+
+/**
+ * Expand presets and drop unknown scopes.
+ * Returns null when nothing was specified.
+ */
+function normalizeScopes(scopes) {
+    if (scopes === undefined || scopes === null) return null;
+    
+    const list = Array.isArray(scopes) ? scopes : [scopes];
+    const result = new Set();
+    
+    list.forEach(scope => {
+        const preset = PERMISSION_CONFIG.presets[scope];
+        if (preset) {
+            preset.forEach(s => result.add(s));
+        } else if (SCOPES.includes(scope)) {
+            result.add(scope);
+        }
+    });
+    
+    return SCOPES.filter(s => result.has(s));
+}
+
+/**
+ * Grant the requested scopes, capped by what the credential allows
+ */
+function grantScopes(requested, ceiling = SCOPES) {
+    const allowed = normalizeScopes(ceiling) || SCOPES;
+    const wanted = normalizeScopes(requested) || allowed;
+    return wanted.filter(s => allowed.includes(s));
+}
+
+/**
+ * Check if scopes include a scope
+ */
+function hasScope(scopes, scope) {
+    return Array.isArray(scopes) && scopes.includes(scope);
+}
+
+/**
+ * Check if scopes allow sending a message type
+ */
+function checkMessage(scopes, messageType) {
+    const requiredScope = PERMISSION_CONFIG.messageScopes[messageType];
+    if (!requiredScope) {
+        return { allowed: true };
+    }
+    return { allowed: hasScope(scopes, requiredScope), requiredScope };
+}
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    SCOPES,
+    PERMISSION_CONFIG,
+    normalizeScopes,
+    grantScopes,
+    hasScope,
+    checkMessage
+};
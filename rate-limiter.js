@@ -0,0 +1,272 @@
+/**
+ * YAS Remote Pro - Rate Limiting Module
+ * Version: 3.3
+ * Features: Token buckets per connection and per message type, Byte budgets, Abuse disconnects
+ */
+
+const permissions = require('./permissions');
+
+// ============================================
+// Configuration
+// ============================================
+// rate = tokens added per second, burst = bucket size.
+//
+// RATE_LIMITS=off disables all limits. Otherwise it may override the limits
+// below as comma-separated "target=rate/burst" entries, where target is
+//   client.messages, client.bytes, computer.messages, computer.bytes
+//   scope:<scope>        e.g. scope:input=120/240
+//   type:<message type>  e.g. type:browse_files=10/40
+// "off" drops a scope's or type's own limit (type:browse_files=off); a type
+// then falls back to the limit of the scope it requires.
+const RATE_LIMIT_CONFIG = {
+    enabled: process.env.RATE_LIMITS !== 'off',
+    
+    // Every message from a connection, by kind of connection
+    connection: {
+        client: { messages: { rate: 50, burst: 500 }, bytes: { rate: 8 * 1024 * 1024, burst: 32 * 1024 * 1024 } },
+        computer: { messages: { rate: 200, burst: 1000 }, bytes: { rate: 16 * 1024 * 1024, burst: 64 * 1024 * 1024 } }
+    },
+    
+    // Client messages by the scope they require (see permissions.js)
+    scopes: {
+        'input': { rate: 60, burst: 120 },
+        'files:read': { rate: 10, burst: 30 },
+        'files:write': { rate: 200, burst: 500 },
+        'watch': { rate: 2, burst: 10 },
+        'admin': { rate: 2, burst: 10 }
+    },
+    
+    // Per message type, overriding the scope limit
+    messageTypes: {
+        'browse_files': { rate: 5, burst: 20 },
+        'get_security_log': { rate: 1, burst: 5 },
+        'create_api_token': { rate: 0.1, burst: 3 },
+        'connect_to_computer': { rate: 0.5, burst: 5 },
+        'auto_login': { rate: 0.5, burst: 5 },
+        'resume_session': { rate: 0.5, burst: 5 },
+        'register_computer': { rate: 0.5, burst: 5 },
+        'wake_computer': { rate: 0.2, burst: 5 }
+    },
+    
+    // Chunks of a transfer the connection is sending skip these limits; the
+    // transfer's pause/resume flow control paces them. Chunks for transfers
+    // that aren't the sender's are limited like any other message.
+    transferChunkTypes: ['file_chunk', 'file_download_chunk', 'binary_frame'],
+    
+    // Disconnect after this many rejected messages within the window
+    abuse: {
+        maxViolations: 50,
+        window: 60 * 1000
+    }
+};
+
+/**
+ * Parse one "rate/burst" value (or "off" for scopes and types)
+ */
+function parseLimit(target, value, allowOff) {
+    if (allowOff && value === 'off') return null;
+    
+    const match = /^(\d+(?:\.\d+)?)\/(\d+)$/.exec(value);
+    if (!match || Number(match[1]) <= 0 || Number(match[2]) < 1) {
+        throw new Error(`RATE_LIMITS: "${target}" needs rate/burst like 10/30${allowOff ? ' or off' : ''}, got "${value}"`);
+    }
+    return { rate: Number(match[1]), burst: Number(match[2]) };
+}
+
+/**
+ * Apply RATE_LIMITS overrides to the defaults; throws on entries it can't use
+ */
+function applyOverrides(config, value) {
+    String(value || '').split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+        const separator = entry.lastIndexOf('=');
+        const target = entry.substring(0, separator).trim();
+        const limit = entry.substring(separator + 1).trim();
+        if (separator < 1) {
+            throw new Error(`RATE_LIMITS: expected target=rate/burst, got "${entry}"`);
+        }
+        
+        const connection = /^(client|computer)\.(messages|bytes)$/.exec(target);
+        if (connection) {
+            config.connection[connection[1]][connection[2]] = parseLimit(target, limit, false);
+        } else if (target.startsWith('scope:')) {
+            const scope = target.substring(6);
+            if (!permissions.SCOPES.includes(scope)) {
+                throw new Error(`RATE_LIMITS: unknown scope "${scope}"`);
+            }
+            config.scopes[scope] = parseLimit(target, limit, true);
+        } else if (target.startsWith('type:') && target.length > 5) {
+            config.messageTypes[target.substring(5)] = parseLimit(target, limit, true);
+        } else {
+            throw new Error(`RATE_LIMITS: unknown target "${target}"`);
+        }
+    });
+}
+
+if (RATE_LIMIT_CONFIG.enabled) {
+    applyOverrides(RATE_LIMIT_CONFIG, process.env.RATE_LIMITS);
+}
+
+// ============================================
+// Statistics
+// ============================================
+const stats = {
+    limited: 0,
+    byType: new Map(),  // message type -> rejected count
+    disconnects: 0
+};
+
+const MAX_TRACKED_TYPES = 100;
+
+// ============================================
+// Token Bucket
+// ============================================
+class TokenBucket {
+    constructor({ rate, burst }) {
+        this.rate = rate;
+        this.capacity = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+    }
+    
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+        this.updatedAt = now;
+    }
+    
+    /**
+     * Take tokens if available; otherwise report how long until they are
+     */
+    take(count = 1) {
+        this.refill();
+        
+        // Oversized requests only need a full bucket
+        const needed = Math.min(count, this.capacity);
+        if (this.tokens >= needed) {
+            this.tokens -= needed;
+            return { allowed: true };
+        }
+        
+        return { allowed: false, retryAfterMs: Math.ceil(((needed - this.tokens) / this.rate) * 1000) };
+    }
+}
+
+// ============================================
+// Connection Limiter
+// ============================================
+class ConnectionLimiter {
+    constructor() {
+        this.messages = null;
+        this.bytes = null;
+        this.kind = null;
+        this.buckets = new Map();   // message type or scope -> TokenBucket
+        this.violations = [];       // timestamps of rejected messages
+        this.closed = false;        // set once the connection is being dropped
+    }
+    
+    /**
+     * Switch bucket sizes once the socket identifies as a computer or client
+     */
+    setKind(kind) {
+        if (this.kind === kind) return;
+        const limits = RATE_LIMIT_CONFIG.connection[kind];
+        this.kind = kind;
+        this.messages = new TokenBucket(limits.messages);
+        this.bytes = new TokenBucket(limits.bytes);
+    }
+    
+    getTypeBucket(type, isComputer) {
+        // Computers are only held to their connection budget
+        if (isComputer) return null;
+        
+        let key = null;
+        let limit = Object.hasOwn(RATE_LIMIT_CONFIG.messageTypes, type) ? RATE_LIMIT_CONFIG.messageTypes[type] : null;
+        if (limit) {
+            key = 'type:' + type;
+        } else {
+            const scope = permissions.PERMISSION_CONFIG.messageScopes[type];
+            limit = scope ? RATE_LIMIT_CONFIG.scopes[scope] || null : null;
+            key = scope ? 'scope:' + scope : null;
+        }
+        if (!limit) return null;
+        
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, new TokenBucket(limit));
+        }
+        return this.buckets.get(key);
+    }
+    
+    /**
+     * Check one incoming message.
+     * Returns {allowed} or {allowed: false, limit, retryAfterMs, disconnect}.
+     */
+    check(type, size, isComputer = false) {
+        if (!RATE_LIMIT_CONFIG.enabled) return { allowed: true };
+        
+        // Frames already buffered behind the disconnect
+        if (this.closed) return { allowed: false, closed: true };
+        
+        this.setKind(isComputer ? 'computer' : 'client');
+        
+        const checks = [
+            ['bytes', this.bytes, size],
+            ['connection', this.messages, 1],
+            ['message_type', this.getTypeBucket(type, isComputer), 1]
+        ];
+        
+        for (const [limit, bucket, cost] of checks) {
+            if (!bucket) continue;
+            const result = bucket.take(cost);
+            if (!result.allowed) {
+                return { allowed: false, limit, retryAfterMs: result.retryAfterMs, disconnect: this.recordViolation(type) };
+            }
+        }
+        
+        return { allowed: true };
+    }
+    
+    recordViolation(type) {
+        const now = Date.now();
+        stats.limited++;
+        // Types come from the client; don't let it grow the table without bound
+        const key = stats.byType.has(type) || stats.byType.size < MAX_TRACKED_TYPES ? type : 'other';
+        stats.byType.set(key, (stats.byType.get(key) || 0) + 1);
+        
+        this.violations.push(now);
+        while (this.violations.length > 0 && now - this.violations[0] > RATE_LIMIT_CONFIG.abuse.window) {
+            this.violations.shift();
+        }
+        
+        if (this.violations.length >= RATE_LIMIT_CONFIG.abuse.maxViolations) {
+            stats.disconnects++;
+            this.closed = true;
+            return true;
+        }
+        return false;
+    }
+}
+
+function createConnectionLimiter() {
+    return new ConnectionLimiter();
+}
+
+/**
+ * Counters for /status
+ */
+function getStats() {
+    return {
+        enabled: RATE_LIMIT_CONFIG.enabled,
+        limited: stats.limited,
+        byType: Object.fromEntries(stats.byType),
+        disconnects: stats.disconnects
+    };
+}
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    RATE_LIMIT_CONFIG,
+    createConnectionLimiter,
+    getStats
+};
@@ -0,0 +1,221 @@
+/**
+ * YAS Remote Pro - Screen Stream Module
+ * Version: 3.3
+ * Features: Per-client screenshot flow control, Latest-frame delivery, Target frame rates, Effective FPS
+ */
+
+const WebSocket = require('ws');
+const metrics = require('./metrics');
+
+// ============================================
+// Configuration
+// ============================================
+const STREAM_CONFIG = {
+    maxBufferedBytes: 1024 * 1024,  // Hold frames while more than this is still queued for a client
+    drainCheckInterval: 50,         // ms between buffer checks while a frame is held
+    minFps: 0.2,
+    maxFps: 60,
+    fpsWindow: 5 * 1000,            // Effective FPS is measured over this window
+    statsInterval: 5 * 1000
+};
+
+// ============================================
+// Data Stores
+// ============================================
+// clientWs -> Map(computerId -> {targetFps, pending, lastSentAt, sentTimes, sent, dropped, timer})
+const streams = new Map();
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function getStream(clientWs, computerId) {
+    let byComputer = streams.get(clientWs);
+    if (!byComputer) {
+        byComputer = new Map();
+        streams.set(clientWs, byComputer);
+    }
+    
+    let stream = byComputer.get(computerId);
+    if (!stream) {
+        stream = { targetFps: null, pending: null, lastSentAt: 0, sentTimes: [], sent: 0, dropped: 0, timer: null };
+        byComputer.set(computerId, stream);
+    }
+    return stream;
+}
+
+function trimWindow(stream, now) {
+    while (stream.sentTimes.length > 0 && now - stream.sentTimes[0] > STREAM_CONFIG.fpsWindow) {
+        stream.sentTimes.shift();
+    }
+}
+
+/**
+ * ms until the client's frame rate allows another frame
+ */
+function getRateDelay(stream, now) {
+    if (!stream.targetFps) return 0;
+    return Math.max(0, stream.lastSentAt + 1000 / stream.targetFps - now);
+}
+
+function send(clientWs, stream, message) {
+    const now = Date.now();
+    clientWs.send(message);
+    stream.lastSentAt = now;
+    stream.sentTimes.push(now);
+    stream.sent++;
+    trimWindow(stream, now);
+    metrics.increment('screenshot_frames_sent_total');
+    metrics.increment('relay_bytes_total', { direction: 'computer_to_client' }, Buffer.byteLength(message));
+}
+
+/**
+ * Deliver the held frame once the client has caught up
+ */
+function scheduleFlush(clientWs, stream) {
+    if (stream.timer) return;
+    
+    const delay = Math.max(STREAM_CONFIG.drainCheckInterval, getRateDelay(stream, Date.now()));
+    stream.timer = setTimeout(() => {
+        stream.timer = null;
+        if (!stream.pending) return;
+        
+        if (clientWs.readyState !== WebSocket.OPEN) {
+            stream.pending = null;
+            return;
+        }
+        if (clientWs.bufferedAmount > STREAM_CONFIG.maxBufferedBytes || getRateDelay(stream, Date.now()) > 0) {
+            scheduleFlush(clientWs, stream);
+            return;
+        }
+        
+        const message = stream.pending;
+        stream.pending = null;
+        send(clientWs, stream, message);
+    }, delay);
+}
+
+// ============================================
+// Frames
+// ============================================
+
+/**
+ * Pass a frame (already serialized) to one client. Frames the client
+ * can't take yet are held; a newer frame replaces the held one, so the
+ * client skips stale frames but always ends up with the latest.
+ */
+function offerFrame(clientWs, computerId, message) {
+    const stream = getStream(clientWs, computerId);
+    
+    const backedUp = clientWs.bufferedAmount > STREAM_CONFIG.maxBufferedBytes;
+    if (!stream.pending && !backedUp && getRateDelay(stream, Date.now()) === 0) {
+        send(clientWs, stream, message);
+        return;
+    }
+    
+    if (stream.pending) {
+        stream.dropped++;
+        metrics.increment('screenshot_frames_dropped_total');
+    }
+    stream.pending = message;
+    scheduleFlush(clientWs, stream);
+}
+
+// ============================================
+// Frame Rates
+// ============================================
+
+/**
+ * Set (or clear, with null/0) the frame rate a client wants from a computer
+ */
+function setTargetFps(clientWs, computerId, fps) {
+    if (fps === null || fps === undefined || fps === 0) {
+        getStream(clientWs, computerId).targetFps = null;
+        return { success: true, targetFps: null };
+    }
+    
+    const value = Number(fps);
+    if (!Number.isFinite(value) || value < STREAM_CONFIG.minFps || value > STREAM_CONFIG.maxFps) {
+        return { success: false, error: `Frame rate must be between ${STREAM_CONFIG.minFps} and ${STREAM_CONFIG.maxFps}` };
+    }
+    
+    getStream(clientWs, computerId).targetFps = value;
+    return { success: true, targetFps: value };
+}
+
+/**
+ * Frame rate to ask a computer for: the fastest any of its viewers wants.
+ * Viewers that never asked take whatever comes, so then none is asked.
+ */
+function getComputerTargetFps(computerId, clientSockets) {
+    let fastest = null;
+    for (const clientWs of clientSockets) {
+        const targetFps = streams.get(clientWs)?.get(computerId)?.targetFps;
+        if (!targetFps) return null;
+        fastest = Math.max(fastest || 0, targetFps);
+    }
+    return fastest;
+}
+
+/**
+ * What a client is getting from a computer; null if it never streamed
+ */
+function getStreamStats(clientWs, computerId) {
+    const stream = streams.get(clientWs)?.get(computerId);
+    if (!stream) return null;
+    
+    trimWindow(stream, Date.now());
+    return {
+        computerId,
+        fps: Math.round((stream.sentTimes.length / (STREAM_CONFIG.fpsWindow / 1000)) * 10) / 10,
+        targetFps: stream.targetFps,
+        sent: stream.sent,
+        dropped: stream.dropped,
+        active: stream.sentTimes.length > 0 || !!stream.pending
+    };
+}
+
+// ============================================
+// Cleanup
+// ============================================
+
+/**
+ * Forget a client's streams (one computer's, or all when it disconnects)
+ */
+function removeClient(clientWs, computerId = null) {
+    const byComputer = streams.get(clientWs);
+    if (!byComputer) return;
+    
+    byComputer.forEach((stream, id) => {
+        if (computerId && id !== computerId) return;
+        clearTimeout(stream.timer);
+        byComputer.delete(id);
+    });
+    if (byComputer.size === 0) streams.delete(clientWs);
+}
+
+/**
+ * Drop held frames from a computer that went away (target rates stay)
+ */
+function dropPendingFrames(computerId) {
+    streams.forEach(byComputer => {
+        const stream = byComputer.get(computerId);
+        if (!stream) return;
+        clearTimeout(stream.timer);
+        stream.timer = null;
+        stream.pending = null;
+    });
+}
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    STREAM_CONFIG,
+    offerFrame,
+    setTargetFps,
+    getComputerTargetFps,
+    getStreamStats,
+    removeClient,
+    dropPendingFrames
+};
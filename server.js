@@ -1,32 +1,67 @@
 /**
  * YAS Remote Pro - Relay Server
- * Version: 3.2
- * Features: Auth, Sessions, Trusted devices, Security, File Transfer, Multi-User, File Manager
+ * Version: 3.3
+ * Features: Auth, Accounts, Sessions, Trusted devices, Security, File Transfer, Multi-User, File Manager
  */
 
 const WebSocket = require('ws');
 const http = require('http');
-const dgram = require('dgram');
 const auth = require('./auth');
+const accounts = require('./accounts');
+const registry = require('./computer-registry');
+const permissions = require('./permissions');
+const twoFactor = require('./two-factor');
 const sessions = require('./sessions');
 const fileHandler = require('./file-handler');
+const storage = require('./storage');
+const adminConsole = require('./admin-console');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const ipFilter = require('./ip-filter');
+const rateLimiter = require('./rate-limiter');
+const computerCommands = require('./computer-commands');
+const wakeOnLan = require('./wake-on-lan');
+const wakeSchedules = require('./wake-schedules');
+const screenStream = require('./screen-stream');
 
 const PORT = process.env.PORT || 3000;
 const VERSION = '3.3';
 
+const log = logger.createLogger('relay');
+
 // ============================================
 // Data Stores
 // ============================================
-const computers = new Map();  // password -> {ws, info, connectedClients}
-const clients = new Map();    // ws -> {sessionId, password, deviceInfo}
+const computers = new Map();  // computerId -> {ws, computerId, accountId, info, connectedClients, reconnecting, graceTimer}
+const clients = new Map();    // ws -> {sessionId, accountId, computerId, computerIds, deviceInfo}
+
+// Client messages that go to a computer. A computerId tag picks one of the
+// client's attached computers; untagged messages go to its current computer.
+const COMPUTER_MESSAGES = new Set([
+    'relay', 'browse_files', 'file_operation', 'file_upload_start', 'file_download_request',
+    'start_file_watcher', 'stop_file_watcher', 'get_watched_folders', 'get_connected_users',
+    'set_stream_fps', 'get_stream_stats'
+]);
+
+/**
+ * Logger carrying the socket's session and computer
+ */
+function socketLog(ws) {
+    const clientInfo = clients.get(ws);
+    return log.child({
+        sessionId: clientInfo?.sessionId,
+        computerId: ws.computerId || clientInfo?.computerId,
+        ip: ws.ip
+    });
+}
 
 // ============================================
 // HTTP Server
 // ============================================
 const server = http.createServer((req, res) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
     res.setHeader('Content-Type', 'application/json');
     
     // Handle CORS preflight
@@ -36,14 +71,35 @@ const server = http.createServer((req, res) => {
         return;
     }
     
+    req.ip = ipFilter.getClientIp(req);
+    if (!ipFilter.checkGlobal(req.ip).allowed) {
+        sendJson(res, 403, { error: 'Access from this address is not allowed' });
+        return;
+    }
+    
     const url = req.url.split('?')[0];
     
+    if (url.startsWith('/api/v1/')) {
+        handleApiRequest(req, res, url);
+        return;
+    }
+    
+    if (url === '/admin' || url.startsWith('/admin/')) {
+        handleAdminRequest(req, res, url);
+        return;
+    }
+    
+    if (url === '/metrics') {
+        handleMetricsRequest(req, res);
+        return;
+    }
+    
     switch (url) {
         case '/':
             res.end(JSON.stringify({ 
                 service: 'YAS Remote Relay', 
                 version: VERSION,
-                features: ['auth', 'sessions', 'trusted-devices', 'security-log', 'file-transfer', 'multi-user', 'file-manager', 'file-watcher', 'wake-on-lan']
+                features: ['auth', 'accounts', 'sessions', 'two-factor', 'trusted-devices', 'security-log', 'ip-rules', 'rate-limits', 'request-ids', 'session-resume', 'file-transfer', 'binary-transfer', 'rest-api', 'metrics', 'multi-user', 'multi-computer', 'computer-directory', 'file-manager', 'file-watcher', 'wake-on-lan']
             }));
             break;
             
@@ -53,17 +109,18 @@ const server = http.createServer((req, res) => {
                 version: VERSION,
                 computers: computers.size,
                 clients: clients.size,
-                sessions: sessions.getSessionStats()
+                sessions: sessions.getSessionStats(),
+                storage: storage.getStorageStats(),
+                underAttack: auth.getBruteForceStatus().underAttack,
+                rateLimits: rateLimiter.getStats(),
+                pendingCommands: computerCommands.getPendingCount(),
+                pendingWakes: wakeOnLan.getPendingCount()
             }));
             break;
         
         case '/wol':
-            if (req.method === 'POST') {
-                handleWakeOnLan(req, res);
-            } else {
-                res.statusCode = 405;
-                res.end(JSON.stringify({ error: 'Method not allowed' }));
-            }
+            // Waking is an account operation now; see wake_computer
+            sendJson(res, 410, { error: 'Use wake_computer or POST /api/v1/computers/{computerId}/wake' });
             break;
             
         default:
@@ -77,38 +134,199 @@ const server = http.createServer((req, res) => {
 // ============================================
 const wss = new WebSocket.Server({ server, maxPayload: 10 * 1024 * 1024 });
 
-wss.on('connection', (ws) => {
-    console.log('New connection');
+wss.on('connection', (ws, req) => {
+    ws.ip = ipFilter.getClientIp(req);
+    log.debug('New connection', { ip: ws.ip });
+    
+    if (!ipFilter.checkGlobal(ws.ip).allowed) {
+        log.warn('Connection refused by IP rules', { ip: ws.ip });
+        ws.close(1008, 'Address not allowed');
+        return;
+    }
     
     ws.isAlive = true;
     ws.on('pong', () => ws.isAlive = true);
+    ws.rateLimiter = rateLimiter.createConnectionLimiter();
     
-    ws.on('message', (message) => {
+    ws.on('message', (message, isBinary) => {
         try {
+            if (isBinary) {
+                metrics.increment('messages_received_total', { type: 'binary_frame' });
+                // Client binary frames are upload chunks
+                const frame = fileHandler.decodeFrame(message);
+                if (!checkRateLimit(ws, ws.isComputer ? 'binary_frame' : 'file_chunk', message.length, frame)) return;
+                handleBinaryMessage(ws, message, frame);
+                return;
+            }
             const data = JSON.parse(message);
+            if (!checkRateLimit(ws, String(data?.type), message.length, data)) return;
             handleMessage(ws, data);
         } catch (e) {
-            console.error('Invalid message:', e.message);
+            socketLog(ws).warn('Invalid message', { error: e.message });
         }
     });
     
     ws.on('close', () => handleDisconnect(ws));
-    ws.on('error', (e) => console.error('WS error:', e.message));
+    ws.on('error', (e) => socketLog(ws).error('WebSocket error', { error: e.message }));
 });
 
+/**
+ * Send a payload on its way between a client and a computer.
+ * Only these count towards relay_bytes_total, not the relay's own messages.
+ */
+function relaySend(targetWs, payload, direction, options) {
+    targetWs.send(payload, options);
+    metrics.increment('relay_bytes_total', { direction }, Buffer.byteLength(payload));
+}
+
+/**
+ * Run a handler that waits on password hashing; a failure is logged,
+ * never left as an unhandled rejection
+ */
+function runAsync(ws, task) {
+    task.catch(e => socketLog(ws).error('Message handler failed', { error: e }));
+}
+
+/**
+ * Transfer chunks this socket may send: the transfer's own flow control
+ * (file_upload_pause / file_download_pause) paces them instead
+ */
+function isOwnTransferChunk(ws, type, message) {
+    if (!rateLimiter.RATE_LIMIT_CONFIG.transferChunkTypes.includes(type)) return false;
+    
+    const transfer = fileHandler.getTransfer(message?.transferId);
+    if (!transfer || ['completed', 'failed', 'cancelled'].includes(transfer.status)) return false;
+    
+    if (ws.isComputer) {
+        return transfer.direction === 'download' && transfer.computerId === ws.computerId;
+    }
+    return transfer.direction === 'upload' && transfer.accountId === clients.get(ws)?.accountId;
+}
+
+/**
+ * Apply the connection's rate limits to one message. Rejected messages
+ * get a rate_limited reply; persistent abusers are disconnected.
+ */
+function checkRateLimit(ws, type, size, message = null) {
+    if (isOwnTransferChunk(ws, type, message)) return true;
+    
+    const result = ws.rateLimiter.check(type, size, ws.isComputer);
+    if (result.allowed) return true;
+    if (result.closed) return false;
+    
+    metrics.increment('rate_limited_total', { limit: result.limit });
+    
+    if (result.disconnect) {
+        const clientInfo = clients.get(ws);
+        socketLog(ws).warn('Disconnecting for exceeding rate limits', { requestType: type, limit: result.limit });
+        auth.logSecurityEvent('RATE_LIMIT_DISCONNECT', {
+            accountId: clientInfo?.accountId || computers.get(ws.computerId)?.accountId,
+            computerId: ws.computerId || clientInfo?.computerId,
+            requestType: type
+        }, ws.ip);
+        ws.close(1008, 'Rate limit exceeded');
+        return false;
+    }
+    
+    // Say which chunk to resend
+    const isTransferChunk = rateLimiter.RATE_LIMIT_CONFIG.transferChunkTypes.includes(type);
+    socketLog(ws).debug('Rate limited', { requestType: type, limit: result.limit, retryAfterMs: result.retryAfterMs });
+    ws.send(JSON.stringify({
+        type: 'rate_limited',
+        requestType: type,
+        transferId: isTransferChunk ? message?.transferId : undefined,
+        chunkIndex: isTransferChunk ? message?.chunkIndex : undefined,
+        limit: result.limit,
+        retryAfter: Math.ceil(result.retryAfterMs / 1000),
+        retryAfterMs: result.retryAfterMs,
+        message: 'Too many requests, slow down'
+    }));
+    return false;
+}
+
 // Heartbeat
 setInterval(() => {
     wss.clients.forEach(ws => {
-        if (!ws.isAlive) return ws.terminate();
+        // Paused for upload backpressure: pongs can't be read, and the pause is bounded
+        if (!ws.isAlive && !ws.isPaused) {
+            metrics.increment('heartbeat_terminations_total');
+            return ws.terminate();
+        }
         ws.isAlive = false;
         ws.ping();
     });
 }, 30000);
 
+// Tell viewers and computers how screen streams are doing
+setInterval(() => {
+    computers.forEach(computer => {
+        const viewers = [];
+        computer.connectedClients.forEach(clientWs => {
+            const stats = screenStream.getStreamStats(clientWs, computer.computerId);
+            if (!stats?.active || clientWs.readyState !== WebSocket.OPEN) return;
+            
+            clientWs.send(JSON.stringify({ type: 'stream_stats', ...stats }));
+            viewers.push({ sessionId: clients.get(clientWs)?.sessionId, fps: stats.fps, targetFps: stats.targetFps, dropped: stats.dropped });
+        });
+        
+        if (viewers.length > 0 && !computer.reconnecting && computer.ws.readyState === WebSocket.OPEN) {
+            computer.ws.send(JSON.stringify({ type: 'stream_stats', targetFps: computer.streamTargetFps, clients: viewers }));
+        }
+    });
+}, screenStream.STREAM_CONFIG.statsInterval);
+
+// Scheduled wakes
+setInterval(() => {
+    wakeSchedules.takeDueSchedules().forEach(runScheduledWake);
+}, wakeSchedules.SCHEDULE_CONFIG.checkInterval);
+
+// Expire interrupted uploads nobody came back for
+setInterval(() => {
+    fileHandler.expireInterruptedTransfers().forEach(transfer => {
+        const computer = transfer.streaming ? computers.get(transfer.computerId) : null;
+        if (computer?.ws.readyState === WebSocket.OPEN) {
+            computer.ws.send(JSON.stringify({
+                type: 'file_command',
+                command: 'file_receive_cancel',
+                transferId: transfer.id
+            }));
+        }
+    });
+}, 60000);
+
 // ============================================
 // Message Handler
 // ============================================
 function handleMessage(ws, data) {
+    // Enforce session scopes before anything reaches the computer
+    const clientInfo = clients.get(ws);
+    if (clientInfo) {
+        const check = permissions.checkMessage(clientInfo.scopes, data.type);
+        if (!check.allowed) {
+            metrics.increment('messages_received_total', { type: data.type });
+            ws.send(JSON.stringify({
+                type: 'forbidden',
+                requestType: data.type,
+                requiredScope: check.requiredScope,
+                message: `This session lacks the '${check.requiredScope}' permission`
+            }));
+            return;
+        }
+        
+        if (COMPUTER_MESSAGES.has(data.type) && data.computerId !== undefined && !clientInfo.computerIds.has(data.computerId)) {
+            ws.send(JSON.stringify({
+                type: 'error',
+                requestType: data.type,
+                computerId: data.computerId,
+                message: 'Not attached to that computer'
+            }));
+            return;
+        }
+    }
+    
+    // Label by type only for types we handle, so clients can't grow the series
+    let known = true;
+    
     switch (data.type) {
         // ============ Ping ============
         case 'ping':
@@ -118,18 +336,72 @@ function handleMessage(ws, data) {
             
         // ============ Computer Registration ============
         case 'register_computer':
-            handleRegisterComputer(ws, data);
+            runAsync(ws, handleRegisterComputer(ws, data));
+            break;
+            
+        case 'rotate_computer_secret':
+            runAsync(ws, handleRotateComputerSecret(ws, data));
             break;
             
         // ============ Client Connection ============
         case 'connect_to_computer':
-            handleConnectToComputer(ws, data);
+            runAsync(ws, handleConnectToComputer(ws, data));
             break;
             
         case 'auto_login':
             handleAutoLogin(ws, data);
             break;
             
+        case 'resume_session':
+            handleResumeSession(ws, data);
+            break;
+            
+        // ============ Account Computers ============
+        case 'list_computers':
+            handleListComputers(ws);
+            break;
+            
+        case 'attach_computer':
+            handleAttachComputer(ws, data);
+            break;
+            
+        case 'detach_computer':
+            handleDetachComputer(ws, data);
+            break;
+            
+        case 'switch_computer':
+            handleSwitchComputer(ws, data);
+            break;
+            
+        case 'rename_computer':
+            handleRenameComputer(ws, data);
+            break;
+            
+        // ============ Wake on LAN ============
+        case 'wake_computer':
+            runAsync(ws, handleWakeComputer(ws, data));
+            break;
+            
+        case 'cancel_wake':
+            handleCancelWake(ws, data);
+            break;
+            
+        case 'wake_on_lan_result':
+            handleWakeAgentResult(ws, data);
+            break;
+            
+        case 'schedule_wake':
+            handleScheduleWake(ws, data);
+            break;
+            
+        case 'list_wake_schedules':
+            handleListWakeSchedules(ws, data);
+            break;
+            
+        case 'delete_wake_schedule':
+            handleDeleteWakeSchedule(ws, data);
+            break;
+            
         // ============ Relay Messages ============
         case 'relay':
             handleRelay(ws, data);
@@ -144,22 +416,66 @@ function handleMessage(ws, data) {
             handleKickSession(ws, data);
             break;
             
+        case 'set_session_scopes':
+            handleSetSessionScopes(ws, data);
+            break;
+            
         case 'logout':
             handleLogout(ws);
             break;
             
+        // ============ Account ============
+        case 'change_password':
+            runAsync(ws, handleChangePassword(ws, data));
+            break;
+            
+        case 'two_factor_status':
+            handleTwoFactorStatus(ws);
+            break;
+            
+        case 'two_factor_setup':
+            handleTwoFactorSetup(ws, data);
+            break;
+            
+        case 'two_factor_confirm':
+        case 'two_factor_disable':
+        case 'two_factor_recovery_codes':
+            handleTwoFactorChange(ws, data);
+            break;
+            
         // ============ Security ============
         case 'get_security_log':
-            handleGetSecurityLog(ws);
+            handleGetSecurityLog(ws, data);
             break;
             
         case 'get_trusted_devices':
             handleGetTrustedDevices(ws);
             break;
             
+        case 'get_ip_rules':
+            handleGetIpRules(ws);
+            break;
+            
+        case 'set_ip_rules':
+            handleSetIpRules(ws, data);
+            break;
+            
+        case 'create_api_token':
+            handleCreateApiToken(ws, data);
+            break;
+            
         // ============ Connected Users ============
         case 'get_connected_users':
-            handleGetConnectedUsers(ws);
+            handleGetConnectedUsers(ws, data);
+            break;
+            
+        // ============ Screen Stream ============
+        case 'set_stream_fps':
+            handleSetStreamFps(ws, data);
+            break;
+            
+        case 'get_stream_stats':
+            handleGetStreamStats(ws, data);
             break;
             
         // ============ File Transfer ============
@@ -175,6 +491,14 @@ function handleMessage(ws, data) {
             handleFileUploadComplete(ws, data);
             break;
             
+        case 'file_upload_status':
+            handleFileUploadStatus(ws, data);
+            break;
+            
+        case 'file_upload_reattach':
+            handleFileUploadReattach(ws, data);
+            break;
+            
         case 'file_download_request':
             handleFileDownloadRequest(ws, data);
             break;
@@ -183,6 +507,18 @@ function handleMessage(ws, data) {
             handleFileDownloadResponse(ws, data);
             break;
             
+        case 'file_download_chunk':
+            handleFileDownloadChunk(ws, data);
+            break;
+            
+        case 'file_download_complete':
+            handleFileDownloadComplete(ws, data);
+            break;
+            
+        case 'file_receive_result':
+            handleFileReceiveResult(ws, data);
+            break;
+            
         case 'file_cancel':
             handleFileCancel(ws, data);
             break;
@@ -191,6 +527,10 @@ function handleMessage(ws, data) {
             handleGetRecentFiles(ws);
             break;
             
+        case 'cancel_request':
+            handleCancelRequest(ws, data);
+            break;
+            
         case 'browse_files':
             handleBrowseFiles(ws, data);
             break;
@@ -218,7 +558,7 @@ function handleMessage(ws, data) {
             break;
             
         case 'get_watched_folders':
-            handleGetWatchedFolders(ws);
+            handleGetWatchedFolders(ws, data);
             break;
             
         // ============ Browse Result from Computer ============
@@ -244,166 +584,1395 @@ function handleMessage(ws, data) {
             break;
             
         default:
-            console.log('Unknown message type:', data.type);
+            known = false;
+            socketLog(ws).warn('Unknown message type', { messageType: data.type });
     }
+    
+    metrics.increment('messages_received_total', { type: known ? data.type : 'unknown' });
 }
 
 
 // ============================================
-// Computer Registration
+// Credential Resolution
 // ============================================
-function handleRegisterComputer(ws, data) {
-    const password = data.password;
+
+/**
+ * Resolve (or bootstrap) the account that owns a registering computer.
+ * A username registers a real account on first use; a bare password goes
+ * through the legacy compatibility path.
+ */
+async function resolveOwnerAccount(data) {
+    const { username, password } = data;
     
-    if (!auth.validatePassword(password)) {
-        ws.send(JSON.stringify({ type: 'error', message: 'Invalid password format' }));
-        return;
+    if (!username) {
+        if (!auth.validatePassword(password)) {
+            return { valid: false, reason: 'Invalid password format' };
+        }
+        return { valid: true, account: await accounts.resolveLegacyAccount(password) };
     }
     
-    computers.set(password, {
-        ws: ws,
-        info: data.info || {},
-        connectedClients: new Set(),
-        watchedFolders: new Map()
-    });
+    if (!accounts.findByUsername(username)) {
+        const created = await accounts.createAccount(username, password);
+        if (!created.success) {
+            return { valid: false, reason: created.error };
+        }
+        return { valid: true, account: created.account };
+    }
     
-    ws.computerPassword = password;
-    ws.isComputer = true;
+    return accounts.authenticate(username, password);
+}
+
+/**
+ * Identify a registering computer.
+ * - computerId + secret: a known computer
+ * - secret + username/password: first registration, issues a computerId
+ * - password only: legacy computer, the password doubles as pairing secret
+ */
+async function authenticateComputer(data) {
+    if (data.computerId) {
+        return registry.verifySecret(data.computerId, data.secret);
+    }
+    
+    const owner = await resolveOwnerAccount(data);
+    if (!owner.valid) return owner;
+    
+    let secret = data.secret;
+    let computerId;
+    
+    if (!data.username) {
+        secret = data.password;
+        computerId = registry.getLegacyComputerId(data.password);
+        if (registry.getComputer(computerId)) {
+            return registry.verifySecret(computerId, secret);
+        }
+    }
+    
+    const created = await registry.createComputer(owner.account.id, secret, data.info, computerId);
+    return created.success
+        ? { valid: true, computer: created.computer }
+        : { valid: false, reason: created.error };
+}
+
+/**
+ * Identify a connecting client.
+ * - computerId + secret: pairing secret of one computer
+ * - username + password: account credentials (computerId optional)
+ * - password only: legacy computer secret
+ */
+async function authenticateClient(data) {
+    if (data.username) {
+        const resolved = await accounts.authenticate(data.username, data.password);
+        if (!resolved.valid) return resolved;
+        return { valid: true, accountId: resolved.account.id, computerId: data.computerId || null, viaSecret: false };
+    }
+    
+    const computerId = data.computerId || registry.getLegacyComputerId(String(data.password || ''));
+    const secret = data.computerId ? data.secret : data.password;
     
-    auth.logSecurityEvent(password, 'computer_registered', { info: data.info });
-    console.log(`✅ Computer registered: ${password.substring(0, 4)}***`);
+    const result = await registry.verifySecret(computerId, secret);
+    if (!result.valid) return result;
+    return { valid: true, accountId: result.computer.accountId, computerId, viaSecret: true };
+}
+
+/**
+ * Key used for failed-attempt accounting
+ */
+function getLockoutKey(data) {
+    if (data.username) {
+        return 'user:' + String(data.username).trim().toLowerCase();
+    }
+    return 'computer:' + (data.computerId || registry.getLegacyComputerId(String(data.password || '')));
+}
+
+function sendLockoutError(ws, lockout) {
+    ws.send(JSON.stringify({
+        type: 'error',
+        message: auth.describeLockout(lockout),
+        retryAfter: lockout.retryAfter
+    }));
+}
+
+/**
+ * Enforce the account's IP allow/deny lists; tells the socket and
+ * returns false when its address is refused
+ */
+function checkAccountAddress(ws, accountId, details = {}, errorType = 'error') {
+    const check = accounts.checkAccountIp(accountId, ws.ip);
+    if (check.allowed) return true;
+    
+    auth.logSecurityEvent('IP_BLOCKED', { accountId, ...details, reason: check.reason }, ws.ip);
+    const message = 'Access from this address is not allowed';
+    ws.send(JSON.stringify(errorType === 'error' ? { type: 'error', message } : { type: errorType, reason: message }));
+    return false;
+}
+
+/**
+ * Find an online computer owned by an account.
+ * Without a computerId, the account's first online computer is used.
+ */
+function findAccountComputer(accountId, computerId) {
+    if (computerId) {
+        const computer = computers.get(computerId);
+        return computer?.accountId === accountId ? computer : null;
+    }
     
-    ws.send(JSON.stringify({ type: 'registered', success: true }));
+    for (const computer of computers.values()) {
+        if (computer.accountId === accountId) return computer;
+    }
+    return null;
 }
 
 // ============================================
-// Client Connection
+// Computer Registration
 // ============================================
-function handleConnectToComputer(ws, data) {
-    const { password, trustDevice, deviceInfo } = data;
-    
-    // Check lockout
-    const lockout = auth.checkLockout(password);
+async function handleRegisterComputer(ws, data) {
+    const throttleKeys = ['ip:' + ws.ip, getLockoutKey(data)];
+    const lockout = auth.checkLockout(throttleKeys);
     if (lockout.locked) {
-        ws.send(JSON.stringify({ 
-            type: 'error', 
-            message: `Too many attempts. Try again in ${lockout.remainingMinutes} minutes` 
-        }));
+        sendLockoutError(ws, lockout);
         return;
     }
     
-    // Validate password
-    if (!auth.validatePassword(password)) {
-        auth.recordFailedAttempt(password);
-        ws.send(JSON.stringify({ type: 'error', message: 'Invalid password' }));
+    const result = await authenticateComputer(data);
+    
+    if (!result.valid) {
+        auth.recordFailedAttempt(throttleKeys, { accountId: result.accountId, computerId: result.computerId, registration: true }, ws.ip);
+        ws.send(JSON.stringify({ type: 'error', message: result.reason }));
         return;
     }
     
-    // Find computer
-    const computer = computers.get(password);
-    if (!computer) {
-        auth.recordFailedAttempt(password);
-        auth.logSecurityEvent(password, 'connection_failed', { reason: 'computer_not_found', deviceInfo });
-        ws.send(JSON.stringify({ type: 'error', message: 'Computer not found or offline' }));
+    // The socket may have closed while credentials were checked
+    if (ws.readyState !== WebSocket.OPEN) return;
+    
+    const record = result.computer;
+    
+    if (!checkAccountAddress(ws, record.accountId, { computerId: record.id })) {
         return;
     }
+    auth.clearFailedAttempts(throttleKeys[1]);
     
-    // Create session
-    const session = sessions.createSession(password, deviceInfo);
+    // A computer back within its grace window (or replacing a socket we
+    // haven't noticed is dead yet) keeps its clients and watchers
+    const previous = computers.get(record.id);
     
-    // Handle trusted device
-    let deviceId = null;
-    if (trustDevice) {
-        deviceId = auth.registerTrustedDevice(password, deviceInfo);
+    // ...but a different machine presenting the same legacy password must not take over
+    if (previous && !previous.reconnecting && previous.ws !== ws && isDifferentMachine(previous.info, data.info)) {
+        auth.logSecurityEvent('COMPUTER_REGISTRATION_CONFLICT', { accountId: record.accountId, computerId: record.id, info: data.info }, ws.ip);
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'Another computer is already connected with these credentials. Register with a username to add more computers to the account.'
+        }));
+        return;
     }
+    if (previous) clearTimeout(previous.graceTimer);
     
-    // Store client info
-    clients.set(ws, {
-        sessionId: session.id,
-        password: password,
-        deviceInfo: { ...deviceInfo, trusted: !!deviceId }
+    computers.set(record.id, {
+        ws: ws,
+        computerId: record.id,
+        accountId: record.accountId,
+        info: data.info || {},
+        binaryChunks: supportsBinaryChunks(data),
+        streamUploads: supportsBinaryChunks(data) || hasCapability(data, fileHandler.STREAM_CAPABILITY),
+        chunkChecksums: hasCapability(data, fileHandler.CHECKSUM_CAPABILITY),
+        wakeAgent: hasCapability(data, wakeOnLan.AGENT_CAPABILITY),
+        streamTargetFps: null,  // Last frame rate asked of this socket
+        connectedClients: previous ? previous.connectedClients : new Set(),
+        watchedFolders: previous ? previous.watchedFolders : new Map(),
+        connectedAt: previous ? previous.connectedAt : Date.now(),  // A blip within the grace window keeps uptime
+        reconnecting: false,
+        graceTimer: null
     });
     
-    ws.clientPassword = password;
-    ws.sessionId = session.id;
-    computer.connectedClients.add(ws);
+    ws.computerId = record.id;
+    ws.accountId = record.accountId;
+    ws.isComputer = true;
     
-    auth.logSecurityEvent(password, 'client_connected', { deviceInfo, sessionId: session.id });
-    console.log(`📱 Client connected: ${session.id}`);
+    // Computer may limit what its pairing secret grants
+    if (data.pairingScopes !== undefined) {
+        registry.setPairingScopes(record.id, data.pairingScopes);
+    }
     
-    // Notify computer about new connection
-    notifyComputerOfUserChange(password);
+    registry.recordConnected(record.id, data.info, ws.ip);
+    const wakeTarget = updateWakeTarget(record, data.wakeOnLan);
+    
+    auth.logSecurityEvent('COMPUTER_REGISTERED', { accountId: record.accountId, computerId: record.id, info: data.info }, ws.ip);
+    socketLog(ws).info('Computer registered', { accountId: record.accountId });
     
     ws.send(JSON.stringify({
-        type: 'connected',
-        sessionId: session.id,
-        deviceId: deviceId,
-        expiresIn: sessions.SESSION_TIMEOUT
+        type: 'registered',
+        success: true,
+        computerId: record.id,
+        accountId: record.accountId,
+        pairingScopes: registry.getPairingScopes(record),
+        wakeOnLan: wakeTarget
     }));
-}
-
-function handleAutoLogin(ws, data) {
-    const { deviceId, password } = data;
     
-    // Validate trusted device
-    const validation = auth.validateTrustedDevice(password, deviceId);
-    if (!validation.valid) {
-        ws.send(JSON.stringify({ 
-            type: 'auto_login_failed', 
-            reason: validation.reason 
-        }));
-        return;
+    if (previous) {
+        resumeComputer(record.id, previous.reconnecting);
+    } else {
+        reattachClients(record.id);
     }
     
-    // Find computer
-    const computer = computers.get(password);
-    if (!computer) {
-        ws.send(JSON.stringify({ 
-            type: 'auto_login_failed', 
-            reason: 'Computer not found or offline' 
-        }));
-        return;
+    completeWake(record.id);
+}
+
+/**
+ * Store the wake-on-LAN address a computer reports at registration.
+ * Computers that say nothing keep what they reported before.
+ */
+function updateWakeTarget(record, reported) {
+    if (reported !== undefined && reported !== null) {
+        const check = wakeOnLan.validateWakeTarget(reported);
+        if (!check.valid) {
+            return { enabled: !!record.wakeTarget, error: check.reason };
+        }
+        registry.setWakeTarget(record.id, check.target);
     }
+    return { enabled: !!record.wakeTarget };
+}
+
+/**
+ * Whether two registrations come from different machines, as far as
+ * their info tells (machineId, else hostname)
+ */
+function isDifferentMachine(info = {}, otherInfo = {}) {
+    for (const key of ['machineId', 'hostname']) {
+        if (info[key] && otherInfo?.[key]) {
+            return info[key] !== otherInfo[key];
+        }
+    }
+    return false;
+}
+
+/**
+ * A computer came online: clients that attached to it earlier get it back
+ */
+function reattachClients(computerId) {
+    const computer = computers.get(computerId);
     
-    // Create session
-    const deviceInfo = { ...validation.device, trusted: true, autoLogin: true };
-    const session = sessions.createSession(password, deviceInfo);
-    
-    clients.set(ws, {
-        sessionId: session.id,
-        password: password,
-        deviceInfo: deviceInfo
+    clients.forEach((info, clientWs) => {
+        if (info.computerIds.has(computerId) && info.accountId === computer.accountId) {
+            computer.connectedClients.add(clientWs);
+            clientWs.send(JSON.stringify({ type: 'computer_connected', computerId }));
+        }
     });
     
-    ws.clientPassword = password;
-    ws.sessionId = session.id;
-    computer.connectedClients.add(ws);
-    
-    auth.logSecurityEvent(password, 'auto_login_success', { deviceId, sessionId: session.id });
-    console.log(`🔐 Auto-login: ${session.id}`);
-    
-    // Notify computer about new connection
-    notifyComputerOfUserChange(password);
+    if (computer.connectedClients.size > 0) {
+        notifyComputerOfUserChange(computerId);
+    } else {
+        broadcastPresence(computerId);
+    }
+}
+
+// ============================================
+// Computer Reconnect Grace Window
+// ============================================
+
+/**
+ * The computer's socket dropped: keep its entry and clients for a while
+ * so a short network blip doesn't end everyone's session
+ */
+function startGracePeriod(computer) {
+    const grace = computerCommands.COMMAND_CONFIG.reconnectGrace;
+    computer.reconnecting = true;
+    computer.graceTimer = setTimeout(() => expireComputer(computer.computerId), grace);
+    registry.recordSeen(computer.computerId);
+    broadcastPresence(computer.computerId);
+    
+    computer.connectedClients.forEach(clientWs => {
+        clientWs.send(JSON.stringify({ type: 'computer_reconnecting', computerId: computer.computerId, graceMs: grace }));
+    });
+    log.info('Computer reconnecting', { computerId: computer.computerId, graceMs: grace });
+}
+
+/**
+ * The grace window ran out (or was cut short): the computer is gone
+ */
+function expireComputer(computerId) {
+    const computer = computers.get(computerId);
+    if (!computer) return;
+    
+    clearTimeout(computer.graceTimer);
+    computerCommands.dropQueuedCommands(computerId);
+    
+    // Downloads in flight cannot finish
+    fileHandler.failComputerDownloads(computerId).forEach(transfer => {
+        const clientWs = findComputerClient(computerId, transfer.requesterId);
+        if (clientWs) sendDownloadError(clientWs, transfer.id, 'Computer disconnected');
+    });
+    
+    // Other requests will never be answered; downloads were handled above
+    computerCommands.takeComputerRequests(computerId)
+        .filter(request => !request.transferId)
+        .forEach(request => failCommand(request, 'Computer disconnected', 'computer_disconnected'));
+    
+    computer.connectedClients.forEach(clientWs => {
+        clientWs.send(JSON.stringify({ type: 'computer_disconnected', computerId }));
+    });
+    screenStream.dropPendingFrames(computerId);
+    computers.delete(computerId);
+    // A computer that outlived its grace window was last seen when its socket dropped
+    if (!computer.reconnecting) registry.recordSeen(computerId);
+    broadcastPresence(computerId);
+    log.info('Computer offline', { computerId });
+}
+
+/**
+ * The computer registered again while its entry was still live
+ */
+function resumeComputer(computerId, wasReconnecting) {
+    const computer = computers.get(computerId);
+    
+    if (wasReconnecting) {
+        computer.connectedClients.forEach(clientWs => {
+            clientWs.send(JSON.stringify({ type: 'computer_reconnected', computerId }));
+        });
+    }
+    
+    const queued = computerCommands.takeQueuedCommands(computerId);
+    queued.forEach(message => relaySend(computer.ws, JSON.stringify(message), 'client_to_computer'));
+    
+    notifyComputerOfUserChange(computerId);
+    log.info('Computer reconnected', { computerId, queuedCommands: queued.length });
+}
+
+async function handleRotateComputerSecret(ws, data) {
+    if (!ws.isComputer) return;
+    
+    // Legacy computer IDs are derived from the secret itself
+    const result = ws.computerId.startsWith('pc_legacy_')
+        ? { success: false, error: 'Legacy computers must re-register with a secret to rotate it' }
+        : await registry.rotateSecret(ws.computerId, data.newSecret);
+    
+    if (result.success) {
+        // Everyone paired with the old secret must pair again
+        sessions.destroyComputerSessions(ws.computerId, 'password_changed');
+        auth.removeComputerDevices(ws.computerId);
+        
+        // Clients that logged in to the account are unaffected
+        const computer = computers.get(ws.computerId);
+        if (computer) {
+            computer.connectedClients.forEach(clientWs => {
+                const info = clients.get(clientWs);
+                if (info?.viaSecret && info.computerId === ws.computerId) clientWs.close();
+            });
+        }
+    }
+    
+    ws.send(JSON.stringify({
+        type: 'secret_rotated',
+        success: result.success,
+        error: result.error
+    }));
+}
+
+// ============================================
+// Client Connection
+// ============================================
+async function handleConnectToComputer(ws, data) {
+    // Second step of a two-factor login
+    if (data.challengeId) {
+        handleTwoFactorLogin(ws, data);
+        return;
+    }
+    
+    const { deviceInfo = {} } = data;
+    const lockoutKey = getLockoutKey(data);
+    const throttleKeys = ['ip:' + ws.ip, lockoutKey];
+    
+    // Check lockout
+    const lockout = auth.checkLockout(throttleKeys);
+    if (lockout.locked) {
+        sendLockoutError(ws, lockout);
+        return;
+    }
+    
+    // Validate credentials
+    const credentials = await authenticateClient(data);
+    if (!credentials.valid) {
+        auth.recordFailedAttempt(throttleKeys, { accountId: credentials.accountId, computerId: credentials.computerId, deviceInfo }, ws.ip);
+        ws.send(JSON.stringify({ type: 'error', message: 'Invalid password' }));
+        return;
+    }
+    
+    // The socket may have closed while credentials were checked
+    if (ws.readyState !== WebSocket.OPEN) return;
+    
+    if (!checkAccountAddress(ws, credentials.accountId, { computerId: credentials.computerId, deviceInfo })) {
+        return;
+    }
+    
+    connectToComputer(ws, data, credentials, { lockoutKey, throttleKeys });
+}
+
+/**
+ * Connect a client whose credentials checked out, asking for the second
+ * factor first when needed. data holds only the non-secret login fields.
+ */
+function connectToComputer(ws, data, credentials, { lockoutKey, throttleKeys }) {
+    const { deviceInfo = {} } = data;
+    const accountId = credentials.accountId;
+    
+    // Find computer
+    const computer = findAccountComputer(accountId, credentials.computerId);
+    if (!computer) {
+        auth.logSecurityEvent('CONNECTION_FAILED', { accountId, reason: 'computer_not_found', deviceInfo }, ws.ip);
+        ws.send(JSON.stringify({ type: 'error', message: 'Computer not found or offline' }));
+        return;
+    }
+    
+    // Second factor, unless a trusted device (still within its expiry) vouches for the client
+    const subjectId = getTwoFactorSubject(credentials, computer.computerId);
+    if (subjectId && !isTrustedDeviceFor(data.deviceId, accountId, computer.computerId)) {
+        const challengeId = twoFactor.createChallenge(subjectId, {
+            accountId,
+            computerId: computer.computerId,
+            viaSecret: credentials.viaSecret,
+            lockoutKey,
+            throttleKeys,
+            ip: ws.ip,
+            // Only what completing the login needs; never the credentials
+            request: pickLoginRequest(data)
+        });
+        
+        auth.logSecurityEvent('TWO_FACTOR_CHALLENGE', { accountId, computerId: computer.computerId, deviceInfo }, ws.ip);
+        
+        ws.send(JSON.stringify({
+            type: 'two_factor_required',
+            challengeId,
+            methods: ['totp', 'recovery_code'],
+            expiresIn: twoFactor.TWO_FACTOR_CONFIG.challengeTimeout
+        }));
+        return;
+    }
+    
+    auth.clearFailedAttempts(lockoutKey);
+    completeClientConnection(ws, data, { accountId, computer, viaSecret: credentials.viaSecret });
+}
+
+/**
+ * The parts of a login request that are safe to hold on to
+ */
+function pickLoginRequest(data) {
+    return {
+        trustDevice: data.trustDevice,
+        deviceInfo: data.deviceInfo || {},
+        scopes: data.scopes,
+        capabilities: data.capabilities
+    };
+}
+
+/**
+ * Second login step: a TOTP or recovery code for a pending challenge
+ */
+function handleTwoFactorLogin(ws, data) {
+    const challenge = twoFactor.getChallenge(data.challengeId);
+    if (!challenge || challenge.ip !== ws.ip) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Verification expired, please sign in again' }));
+        return;
+    }
+    
+    const lockout = auth.checkLockout(challenge.throttleKeys);
+    if (lockout.locked && lockout.lockedOut) {
+        twoFactor.consumeChallenge(data.challengeId);
+        sendLockoutError(ws, lockout);
+        return;
+    }
+    
+    // A short backoff keeps the challenge; the client retries after the wait
+    if (lockout.locked) {
+        ws.send(JSON.stringify({
+            type: 'two_factor_required',
+            challengeId: data.challengeId,
+            methods: ['totp', 'recovery_code'],
+            error: auth.describeLockout(lockout),
+            retryAfter: lockout.retryAfter
+        }));
+        return;
+    }
+    
+    const check = twoFactor.verifyCode(challenge.subjectId, data.code);
+    if (!check.valid) {
+        auth.recordFailedAttempt(challenge.throttleKeys, { accountId: challenge.accountId, computerId: challenge.computerId }, ws.ip);
+        auth.logSecurityEvent('TWO_FACTOR_FAILED', { accountId: challenge.accountId, computerId: challenge.computerId }, ws.ip);
+        ws.send(JSON.stringify({
+            type: 'two_factor_required',
+            challengeId: data.challengeId,
+            methods: ['totp', 'recovery_code'],
+            error: check.reason
+        }));
+        return;
+    }
+    
+    twoFactor.consumeChallenge(data.challengeId);
+    
+    const computer = findAccountComputer(challenge.accountId, challenge.computerId);
+    if (!computer) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Computer not found or offline' }));
+        return;
+    }
+    
+    auth.clearFailedAttempts(challenge.lockoutKey);
+    completeClientConnection(ws, challenge.request, {
+        accountId: challenge.accountId,
+        computer,
+        viaSecret: challenge.viaSecret,
+        recoveryCodesLeft: check.recoveryCodesLeft
+    });
+}
+
+/**
+ * Which enrollment guards a login: the computer's own for clients paired
+ * by its secret (falling back to the account's), the account's otherwise
+ */
+function getTwoFactorSubject(credentials, computerId) {
+    if (credentials.viaSecret && twoFactor.isEnabled(computerId)) {
+        return computerId;
+    }
+    return twoFactor.isEnabled(credentials.accountId) ? credentials.accountId : null;
+}
+
+function isTrustedDeviceFor(deviceId, accountId, computerId) {
+    if (!deviceId) return false;
+    
+    const validation = auth.validateTrustedDevice(deviceId, accountId);
+    return validation.valid && (!validation.device.computerId || validation.device.computerId === computerId);
+}
+
+/**
+ * Open the session for an authenticated client
+ */
+function completeClientConnection(ws, data, login) {
+    const { accountId, computer, viaSecret } = login;
+    const { trustDevice, deviceInfo = {} } = data;
+    
+    // Account credentials allow everything; a pairing secret only what the computer allows
+    const ceiling = viaSecret
+        ? registry.getPairingScopes(registry.getComputer(computer.computerId))
+        : permissions.SCOPES;
+    const scopes = permissions.grantScopes(data.scopes, ceiling);
+    
+    // Create session
+    const session = sessions.createSession(accountId, deviceInfo, ws.ip, ws, {
+        computerId: computer.computerId,
+        scopes,
+        scopeCeiling: ceiling,
+        viaSecret
+    });
+    
+    // Handle trusted device (bound to the computer when paired by its secret)
+    let deviceId = null;
+    if (trustDevice) {
+        deviceId = auth.registerTrustedDevice(accountId, deviceInfo, viaSecret ? computer.computerId : null, scopes);
+    }
+    
+    // Store client info
+    clients.set(ws, {
+        sessionId: session.id,
+        accountId: accountId,
+        computerId: computer.computerId,
+        computerIds: new Set([computer.computerId]),
+        scopes: scopes,
+        viaSecret: viaSecret,
+        deviceInfo: { ...deviceInfo, trusted: !!deviceId }
+    });
+    
+    ws.clientAccountId = accountId;
+    ws.sessionId = session.id;
+    ws.binaryChunks = supportsBinaryChunks(data);
+    ws.chunkChecksums = hasCapability(data, fileHandler.CHECKSUM_CAPABILITY);
+    computer.connectedClients.add(ws);
+    
+    auth.logSecurityEvent('CLIENT_CONNECTED', { accountId, computerId: computer.computerId, deviceInfo, sessionId: session.id.substring(0, 10) + '...' }, ws.ip);
+    socketLog(ws).info('Client connected', { accountId });
+    
+    // Notify computer about new connection
+    notifyComputerOfUserChange(computer.computerId);
+    
+    ws.send(JSON.stringify({
+        type: 'connected',
+        sessionId: session.id,
+        accountId: accountId,
+        computerId: computer.computerId,
+        deviceId: deviceId,
+        scopes: scopes,
+        capabilities: [fileHandler.BINARY_CAPABILITY, fileHandler.CHECKSUM_CAPABILITY],
+        expiresIn: sessions.SESSION_CONFIG.timeout,
+        computerState: computer.reconnecting ? 'reconnecting' : 'online',
+        resumeSecret: sessions.issueResumeSecret(session.id),
+        recoveryCodesLeft: login.recoveryCodesLeft
+    }));
+}
+
+function handleAutoLogin(ws, data) {
+    const { deviceId, username, password, computerId } = data;
+    
+    // Account by username, by computer, or by legacy password
+    let accountId;
+    if (username) {
+        accountId = accounts.findByUsername(username)?.id;
+    } else if (computerId) {
+        accountId = registry.getComputer(computerId)?.accountId;
+    } else {
+        accountId = accounts.getLegacyAccountId(String(password || ''));
+    }
+    
+    if (accountId && !checkAccountAddress(ws, accountId, { computerId }, 'auto_login_failed')) {
+        return;
+    }
+    
+    // Validate trusted device
+    const validation = auth.validateTrustedDevice(deviceId, accountId);
+    if (!validation.valid) {
+        ws.send(JSON.stringify({
+            type: 'auto_login_failed',
+            reason: validation.reason
+        }));
+        return;
+    }
+    
+    // Find computer
+    const computer = findAccountComputer(accountId, validation.device.computerId || computerId);
+    if (!computer) {
+        ws.send(JSON.stringify({
+            type: 'auto_login_failed',
+            reason: 'Computer not found or offline'
+        }));
+        return;
+    }
+    
+    // Create session
+    const deviceInfo = {
+        name: validation.device.name,
+        browser: validation.device.browser,
+        trusted: true,
+        autoLogin: true
+    };
+    const ceiling = validation.device.scopes || permissions.SCOPES;
+    const scopes = permissions.grantScopes(data.scopes, ceiling);
+    const session = sessions.createSession(accountId, deviceInfo, ws.ip, ws, {
+        computerId: computer.computerId,
+        scopes,
+        scopeCeiling: ceiling,
+        viaSecret: !!validation.device.computerId
+    });
+    
+    clients.set(ws, {
+        sessionId: session.id,
+        accountId: accountId,
+        computerId: computer.computerId,
+        computerIds: new Set([computer.computerId]),
+        scopes: scopes,
+        viaSecret: !!validation.device.computerId,
+        deviceInfo: deviceInfo
+    });
+    
+    ws.clientAccountId = accountId;
+    ws.sessionId = session.id;
+    ws.binaryChunks = supportsBinaryChunks(data);
+    ws.chunkChecksums = hasCapability(data, fileHandler.CHECKSUM_CAPABILITY);
+    computer.connectedClients.add(ws);
+    
+    auth.logSecurityEvent('AUTO_LOGIN_SUCCESS', {
+        accountId,
+        computerId: computer.computerId,
+        sessionId: session.id.substring(0, 10) + '...',
+        deviceId: deviceId.substring(0, 10) + '...'
+    }, ws.ip);
+    socketLog(ws).info('Client auto-login', { accountId });
+    
+    // Notify computer about new connection
+    notifyComputerOfUserChange(computer.computerId);
     
     ws.send(JSON.stringify({
         type: 'connected',
         sessionId: session.id,
-        expiresIn: sessions.SESSION_TIMEOUT,
+        accountId: accountId,
+        computerId: computer.computerId,
+        scopes: scopes,
+        capabilities: [fileHandler.BINARY_CAPABILITY, fileHandler.CHECKSUM_CAPABILITY],
+        expiresIn: sessions.SESSION_CONFIG.timeout,
+        computerState: computer.reconnecting ? 'reconnecting' : 'online',
+        resumeSecret: sessions.issueResumeSecret(session.id),
         autoLogin: true
     }));
 }
 
+/**
+ * Re-attach a session whose socket dropped, then replay what it missed
+ */
+function handleResumeSession(ws, data) {
+    if (clients.has(ws) || ws.isComputer) {
+        ws.send(JSON.stringify({ type: 'resume_failed', reason: 'Already connected' }));
+        return;
+    }
+    
+    // Resume secrets are credentials; guessing them is throttled like logins
+    const throttleKeys = ['ip:' + ws.ip];
+    const lockout = auth.checkLockout(throttleKeys);
+    if (lockout.locked) {
+        ws.send(JSON.stringify({ type: 'resume_failed', reason: auth.describeLockout(lockout), retryAfter: lockout.retryAfter }));
+        return;
+    }
+    
+    const check = sessions.verifyResume(data.sessionId, data.resumeSecret);
+    if (!check.valid) {
+        auth.recordFailedAttempt(throttleKeys, { resume: true }, ws.ip);
+        ws.send(JSON.stringify({ type: 'resume_failed', reason: check.reason }));
+        return;
+    }
+    
+    const session = check.session;
+    if (!checkAccountAddress(ws, session.accountId, { computerId: session.computerId }, 'resume_failed')) {
+        return;
+    }
+    
+    // The computer the client was working with must be there to resume onto
+    const computer = findAccountComputer(session.accountId, session.clientInfo.computerId);
+    if (!computer) {
+        ws.send(JSON.stringify({ type: 'resume_failed', reason: 'Computer not found or offline' }));
+        return;
+    }
+    
+    const { clientInfo, buffered, resumeSecret } = sessions.attachSession(session.id, ws);
+    
+    // Scopes may have been changed while the client was away
+    clients.set(ws, { ...clientInfo, scopes: session.scopes });
+    ws.clientAccountId = session.accountId;
+    ws.sessionId = session.id;
+    ws.binaryChunks = supportsBinaryChunks(data);
+    ws.chunkChecksums = hasCapability(data, fileHandler.CHECKSUM_CAPABILITY);
+    const attached = getAttachedComputers(clientInfo);
+    attached.forEach(other => other.connectedClients.add(ws));
+    
+    socketLog(ws).info('Client resumed session', { accountId: session.accountId, replayed: buffered.length });
+    
+    ws.send(JSON.stringify({
+        type: 'session_resumed',
+        sessionId: session.id,
+        accountId: session.accountId,
+        computerId: computer.computerId,
+        computerIds: Array.from(clientInfo.computerIds),
+        scopes: session.scopes,
+        capabilities: [fileHandler.BINARY_CAPABILITY, fileHandler.CHECKSUM_CAPABILITY],
+        expiresIn: sessions.SESSION_CONFIG.timeout,
+        computerState: computer.reconnecting ? 'reconnecting' : 'online',
+        resumeSecret,
+        replayed: buffered.length
+    }));
+    buffered.forEach(message => relaySend(ws, message, 'computer_to_client'));
+    
+    attached.forEach(other => notifyComputerOfUserChange(other.computerId));
+}
+
 // ============================================
-// Connected Users Management
+// Account Computers
 // ============================================
-function handleGetConnectedUsers(ws) {
+// Clients signed in with account credentials may attach to several of the
+// account's computers at once; clients paired by a computer's secret only
+// ever see that computer.
+
+/**
+ * Online computers a client is attached to
+ */
+function getAttachedComputers(clientInfo) {
+    return Array.from(clientInfo.computerIds)
+        .map(computerId => computers.get(computerId))
+        .filter(computer => computer && computer.accountId === clientInfo.accountId);
+}
+
+/**
+ * The computer a client message is for: its computerId tag (checked in
+ * handleMessage), else the client's current computer
+ */
+function getTargetComputerId(clientInfo, data) {
+    return data?.computerId !== undefined ? data.computerId : clientInfo.computerId;
+}
+
+/**
+ * Computers a client may see: the whole account, or only its own
+ * computer when it was paired by that computer's secret
+ */
+function getVisibleComputers({ accountId, computerId, viaSecret }) {
+    if (viaSecret) {
+        const record = registry.getComputer(computerId);
+        return record ? [record] : [];
+    }
+    return registry.getAccountComputers(accountId);
+}
+
+/**
+ * Directory entry for a computer: presence, inventory and who is on it
+ */
+function describeComputer(record) {
+    const computer = computers.get(record.id);
+    const status = !computer ? 'offline' : computer.reconnecting ? 'reconnecting' : 'online';
+    const lastSeenAt = status === 'online' ? Date.now() : record.lastSeenAt;
+    
+    return {
+        computerId: record.id,
+        name: record.name,
+        status,
+        online: status === 'online',
+        reconnecting: status === 'reconnecting',
+        lastSeen: lastSeenAt ? new Date(lastSeenAt).toISOString() : null,
+        uptime: computer ? Math.floor((Date.now() - computer.connectedAt) / 1000) : null,
+        info: record.inventory || {},
+        clients: computer ? computer.connectedClients.size : 0,
+        wakeOnLan: !!record.wakeTarget
+    };
+}
+
+function handleListComputers(ws) {
     const clientInfo = clients.get(ws);
     if (!clientInfo) return;
     
-    const computer = computers.get(clientInfo.password);
-    if (!computer) return;
+    ws.send(JSON.stringify({
+        type: 'computers',
+        current: clientInfo.computerId,
+        computers: getVisibleComputers(clientInfo).map(record => ({
+            ...describeComputer(record),
+            attached: clientInfo.computerIds.has(record.id)
+        }))
+    }));
+}
+
+/**
+ * Tell every client that can see a computer about its current presence
+ */
+function broadcastPresence(computerId) {
+    const record = registry.getComputer(computerId);
+    if (!record) return;
+    
+    const message = JSON.stringify({ type: 'computer_presence', computer: describeComputer(record) });
+    clients.forEach((info, clientWs) => {
+        if (info.accountId !== record.accountId) return;
+        if (info.viaSecret && info.computerId !== computerId) return;
+        if (clientWs.readyState === WebSocket.OPEN) clientWs.send(message);
+    });
+}
+
+/**
+ * Check that a client may attach to a computer; replies and returns null if not
+ */
+function resolveAttachable(ws, clientInfo, computerId, replyType) {
+    const record = registry.getComputer(computerId);
+    const allowed = record && record.accountId === clientInfo.accountId &&
+        (!clientInfo.viaSecret || computerId === clientInfo.computerId);
+    const computer = allowed ? computers.get(computerId) : null;
     
-    const users = [];
+    if (!computer) {
+        ws.send(JSON.stringify({ type: replyType, success: false, computerId, error: 'Computer not found or offline' }));
+        return null;
+    }
+    return computer;
+}
+
+function attachClient(ws, clientInfo, computer) {
+    if (clientInfo.computerIds.has(computer.computerId)) return;
+    
+    clientInfo.computerIds.add(computer.computerId);
+    sessions.setAttachedComputers(clientInfo.sessionId, clientInfo.computerIds);
+    computer.connectedClients.add(ws);
+    notifyComputerOfUserChange(computer.computerId);
+    
+    auth.logSecurityEvent('COMPUTER_ATTACHED', {
+        accountId: clientInfo.accountId,
+        computerId: computer.computerId,
+        sessionId: clientInfo.sessionId.substring(0, 10) + '...'
+    }, ws.ip);
+}
+
+function handleAttachComputer(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const computer = resolveAttachable(ws, clientInfo, data.computerId, 'computer_attached');
+    if (!computer) return;
+    
+    attachClient(ws, clientInfo, computer);
+    
+    ws.send(JSON.stringify({
+        type: 'computer_attached',
+        success: true,
+        computerId: computer.computerId,
+        name: registry.getComputer(computer.computerId)?.name,
+        computerState: computer.reconnecting ? 'reconnecting' : 'online'
+    }));
+}
+
+function handleDetachComputer(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    // Switch away first; a client always has a current computer
+    if (data.computerId === clientInfo.computerId || !clientInfo.computerIds.has(data.computerId)) {
+        ws.send(JSON.stringify({
+            type: 'computer_detached',
+            success: false,
+            computerId: data.computerId,
+            error: data.computerId === clientInfo.computerId ? 'Cannot detach the current computer' : 'Not attached to that computer'
+        }));
+        return;
+    }
+    
+    clientInfo.computerIds.delete(data.computerId);
+    sessions.setAttachedComputers(clientInfo.sessionId, clientInfo.computerIds);
+    const computer = computers.get(data.computerId);
+    if (computer) {
+        computer.connectedClients.delete(ws);
+        notifyComputerOfUserChange(data.computerId);
+    }
+    screenStream.removeClient(ws, data.computerId);
+    
+    ws.send(JSON.stringify({ type: 'computer_detached', success: true, computerId: data.computerId }));
+}
+
+/**
+ * Make another computer the default target for untagged messages
+ */
+function handleSwitchComputer(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const computer = resolveAttachable(ws, clientInfo, data.computerId, 'computer_switched');
+    if (!computer) return;
+    
+    attachClient(ws, clientInfo, computer);
+    clientInfo.computerId = computer.computerId;
+    
+    ws.send(JSON.stringify({
+        type: 'computer_switched',
+        success: true,
+        computerId: computer.computerId,
+        name: registry.getComputer(computer.computerId)?.name,
+        computerState: computer.reconnecting ? 'reconnecting' : 'online'
+    }));
+}
+
+function handleRenameComputer(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const computerId = getTargetComputerId(clientInfo, data);
+    const record = registry.getComputer(computerId);
+    const visible = getVisibleComputers(clientInfo).includes(record);
+    const result = visible ? registry.renameComputer(computerId, data.name) : { success: false, error: 'Computer not found' };
+    if (result.success) broadcastPresence(computerId);
+    
+    ws.send(JSON.stringify({
+        type: 'computer_renamed',
+        success: result.success,
+        computerId,
+        name: result.name,
+        error: result.error
+    }));
+}
+
+// ============================================
+// Wake on LAN
+// ============================================
+// A client wakes one of its account's computers and waits for it to
+// register. Signed-in clients are attached to it; clients that signed in
+// with the wake request are connected to it as by connect_to_computer.
+const WAKE_HANDLERS = {
+    onProgress: wake => sendToWakeWaiters(wake, { type: 'wake_progress', ...wakeOnLan.getWakeProgress(wake) }),
+    onTimeout: wake => {
+        log.warn('Computer did not wake', { computerId: wake.computerId, packetsSent: wake.packetsSent });
+        sendToWakeWaiters(wake, {
+            type: 'wake_failed',
+            computerId: wake.computerId,
+            code: 'timeout',
+            error: 'The computer did not come online in time'
+        });
+    },
+    onSendFailed: (wake, err) => {
+        log.error('WoL send failed', { computerId: wake.computerId, error: err });
+        sendToWakeWaiters(wake, {
+            type: 'wake_failed',
+            computerId: wake.computerId,
+            code: 'send_failed',
+            error: 'Failed to send wake packet'
+        });
+    }
+};
+
+/**
+ * Online computers that can send a magic packet on the target's LAN:
+ * the account's agents connecting from the address the target last did
+ */
+function findWakeAgents(record) {
+    if (!record.lastIp) return [];
+    return Array.from(computers.values())
+        .filter(computer => computer.accountId === record.accountId &&
+            computer.computerId !== record.id &&
+            computer.wakeAgent &&
+            !computer.reconnecting &&
+            computer.ws.ip === record.lastIp)
+        .slice(0, wakeOnLan.WAKE_CONFIG.maxAgentsPerWake);
+}
+
+/**
+ * A client-chosen agent, if it can do the job; replies and returns null if not
+ */
+function resolveWakeAgent(ws, record, agentId) {
+    const agent = computers.get(agentId);
+    if (!agent || agent.accountId !== record.accountId || agent.computerId === record.id || agent.reconnecting || !agent.wakeAgent) {
+        sendWakeFailed(ws, record.id, 'That computer cannot send wake packets for you', 'invalid_agent');
+        return null;
+    }
+    return agent;
+}
+
+/**
+ * Send a computer's magic packet from somewhere that reaches it: agent
+ * computers on its LAN when any are online, else the relay host itself.
+ * callback(err, {via}) once handed off.
+ */
+function emitWakePacket(record, agents, callback) {
+    const target = record.wakeTarget;
+    const senders = agents || findWakeAgents(record);
+    
+    if (senders.length > 0) {
+        const message = JSON.stringify({ type: 'wake_on_lan', targetComputerId: record.id, ...target });
+        senders.forEach(agent => agent.ws.send(message));
+        callback(null, { via: senders.map(agent => agent.computerId) });
+        return;
+    }
+    
+    wakeOnLan.sendMagicPacket(target, err => callback(err, { via: 'relay' }));
+}
+
+function handleWakeAgentResult(ws, data) {
+    if (!ws.isComputer || !ws.computerId) return;
+    
+    const details = { agentId: ws.computerId, computerId: data.targetComputerId };
+    if (data.success) {
+        log.debug('Agent sent wake packet', details);
+    } else {
+        log.warn('Agent failed to send wake packet', { ...details, error: String(data.error || '').substring(0, 200) });
+    }
+}
+
+function sendToWakeWaiters(wake, message) {
+    const text = JSON.stringify(message);
+    wake.waiters.forEach((waiter, clientWs) => {
+        if (clientWs.readyState === WebSocket.OPEN) clientWs.send(text);
+    });
+}
+
+function sendWakeFailed(ws, computerId, error, code) {
+    ws.send(JSON.stringify({ type: 'wake_failed', computerId, code, error }));
+}
+
+/**
+ * The computer to wake and, for clients not yet signed in, the login to
+ * finish once it is up. Replies and returns null when refused.
+ */
+async function resolveWakeRequest(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (clientInfo) {
+        const record = getVisibleComputers(clientInfo).find(r => r.id === data.computerId);
+        if (!record) {
+            sendWakeFailed(ws, data.computerId, 'Computer not found', 'not_found');
+            return null;
+        }
+        return { record, login: null };
+    }
+    
+    const lockoutKey = getLockoutKey(data);
+    const throttleKeys = ['ip:' + ws.ip, lockoutKey];
+    const lockout = auth.checkLockout(throttleKeys);
+    if (lockout.locked) {
+        sendLockoutError(ws, lockout);
+        return null;
+    }
+    
+    const credentials = await authenticateClient(data);
+    if (!credentials.valid) {
+        auth.recordFailedAttempt(throttleKeys, { accountId: credentials.accountId, computerId: credentials.computerId, wake: true }, ws.ip);
+        ws.send(JSON.stringify({ type: 'error', message: 'Invalid password' }));
+        return null;
+    }
+    
+    if (ws.readyState !== WebSocket.OPEN) return null;
+    
+    if (!checkAccountAddress(ws, credentials.accountId, { computerId: credentials.computerId, deviceInfo: data.deviceInfo })) {
+        return null;
+    }
+    
+    // Account logins must say which computer; secrets imply it
+    const record = credentials.computerId ? registry.getComputer(credentials.computerId) : null;
+    if (!record || record.accountId !== credentials.accountId) {
+        sendWakeFailed(ws, data.computerId, 'Computer not found', 'not_found');
+        return null;
+    }
+    
+    // Waking takes admin, as it does for signed-in sessions
+    if (credentials.viaSecret && !permissions.hasScope(registry.getPairingScopes(record), 'admin')) {
+        sendWakeFailed(ws, record.id, "This pairing secret lacks the 'admin' permission", 'forbidden');
+        return null;
+    }
+    
+    return {
+        record,
+        login: {
+            credentials,
+            lockoutKey,
+            throttleKeys,
+            request: { ...pickLoginRequest(data), deviceId: data.deviceId }
+        }
+    };
+}
+
+async function handleWakeComputer(ws, data) {
+    const resolved = await resolveWakeRequest(ws, data);
+    if (!resolved) return;
+    
+    const { record, login } = resolved;
+    
+    // Nothing to wake; carry on as if it had just come up
+    if (computers.has(record.id)) {
+        ws.send(JSON.stringify({ type: 'wake_completed', computerId: record.id, elapsed: 0, alreadyOnline: true }));
+        finishWakeWaiter(ws, record.id, { login });
+        return;
+    }
+    
+    if (!record.wakeTarget) {
+        sendWakeFailed(ws, record.id, 'This computer has not reported a wake-on-LAN address', 'no_wake_target');
+        return;
+    }
+    
+    // The client may name the agent; otherwise one on the same LAN is picked per packet
+    const agent = data.via ? resolveWakeAgent(ws, record, data.via) : null;
+    if (data.via && !agent) return;
+    
+    const started = wakeOnLan.startWake(record.id, record.wakeTarget, ws, { login }, {
+        ...WAKE_HANDLERS,
+        send: (wake, callback) => emitWakePacket(registry.getComputer(wake.computerId), agent ? [agent] : null, callback)
+    });
+    if (!started.success) {
+        sendWakeFailed(ws, record.id, started.error, 'too_many_waiters');
+        return;
+    }
+    
+    if (!started.joined) {
+        auth.logSecurityEvent('COMPUTER_WAKE_REQUESTED', { accountId: record.accountId, computerId: record.id }, ws.ip);
+    }
+    
+    ws.send(JSON.stringify({
+        type: 'wake_started',
+        computerId: record.id,
+        timeout: wakeOnLan.WAKE_CONFIG.waitTimeout,
+        joined: started.joined
+    }));
+}
+
+function handleCancelWake(ws, data) {
+    const success = wakeOnLan.removeWaiter(data.computerId, ws);
+    ws.send(JSON.stringify({ type: 'wake_cancelled', computerId: data.computerId, success }));
+}
+
+/**
+ * A computer registered: hand it to everyone waiting for it to wake
+ */
+function completeWake(computerId) {
+    const wake = wakeOnLan.completeWake(computerId);
+    if (!wake) return;
+    
+    const { elapsed } = wakeOnLan.getWakeProgress(wake);
+    log.info('Computer woke', { computerId, elapsed, packetsSent: wake.packetsSent });
+    
+    wake.waiters.forEach((waiter, clientWs) => {
+        if (clientWs.readyState !== WebSocket.OPEN) return;
+        clientWs.send(JSON.stringify({ type: 'wake_completed', computerId, elapsed }));
+        finishWakeWaiter(clientWs, computerId, waiter);
+    });
+}
+
+function finishWakeWaiter(ws, computerId, { login }) {
+    if (!login) {
+        // Signed in all along (it may have logged out meanwhile)
+        if (clients.has(ws)) handleAttachComputer(ws, { computerId });
+        return;
+    }
+    
+    // Connected some other way while waiting
+    if (clients.has(ws)) return;
+    connectToComputer(ws, login.request, login.credentials, login);
+}
+
+// ============================================
+// Scheduled Wakes
+// ============================================
+function handleScheduleWake(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const computerId = getTargetComputerId(clientInfo, data);
+    const record = getVisibleComputers(clientInfo).find(r => r.id === computerId);
+    const result = record
+        ? wakeSchedules.createSchedule(clientInfo.accountId, computerId, data.cron, data.name)
+        : { success: false, error: 'Computer not found' };
+    
+    ws.send(JSON.stringify({
+        type: 'wake_schedule_created',
+        ...result,
+        // Saved anyway: the computer may report its address before the first run
+        warning: result.success && !record.wakeTarget ? 'This computer has not reported a wake-on-LAN address yet' : undefined
+    }));
+}
+
+function handleListWakeSchedules(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    // Clients paired to one computer only see its schedules
+    const computerId = clientInfo.viaSecret ? clientInfo.computerId : data.computerId || null;
+    ws.send(JSON.stringify({
+        type: 'wake_schedules',
+        schedules: wakeSchedules.getAccountSchedules(clientInfo.accountId, computerId)
+    }));
+}
+
+function handleDeleteWakeSchedule(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const visible = wakeSchedules.getAccountSchedules(clientInfo.accountId, clientInfo.viaSecret ? clientInfo.computerId : null)
+        .some(schedule => schedule.id === data.scheduleId);
+    const result = visible
+        ? wakeSchedules.deleteSchedule(clientInfo.accountId, data.scheduleId)
+        : { success: false, error: 'Schedule not found' };
+    
+    ws.send(JSON.stringify({ type: 'wake_schedule_deleted', scheduleId: data.scheduleId, ...result }));
+}
+
+function runScheduledWake(schedule) {
+    const record = registry.getComputer(schedule.computerId);
+    const details = { accountId: schedule.accountId, computerId: schedule.computerId, scheduleId: schedule.id };
+    
+    if (!record || record.accountId !== schedule.accountId) return;
+    if (computers.has(record.id)) {
+        log.debug('Scheduled wake skipped, computer online', details);
+        return;
+    }
+    if (!record.wakeTarget) {
+        log.warn('Scheduled wake skipped, no wake-on-LAN address', details);
+        return;
+    }
+    
+    auth.logSecurityEvent('COMPUTER_WAKE_SCHEDULED', details);
+    emitWakePacket(record, null, (err, { via }) => {
+        if (err) {
+            log.error('Scheduled wake failed', { ...details, error: err });
+        } else {
+            log.info('Scheduled wake sent', { ...details, via });
+        }
+    });
+}
+
+// ============================================
+// Account Management
+// ============================================
+async function handleChangePassword(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    // Sessions and trusted devices belong to the account, so they survive
+    const result = await accounts.changePassword(clientInfo.accountId, data.currentPassword, data.newPassword);
+    
+    ws.send(JSON.stringify({
+        type: 'password_change_result',
+        success: result.success,
+        error: result.error
+    }));
+}
+
+// ============================================
+// Two-Factor Authentication
+// ============================================
+
+/**
+ * Resolve the enrollment a session may manage: its account, or its computer.
+ * Clients paired by a computer secret may not touch the account's.
+ */
+function getTwoFactorTarget(clientInfo, target) {
+    if (target === 'computer') {
+        const record = registry.getComputer(clientInfo.computerId);
+        return { subjectId: clientInfo.computerId, label: record?.name || clientInfo.computerId };
+    }
+    
+    if (clientInfo.viaSecret) {
+        return { error: 'Sign in with the account password to manage its two-factor settings' };
+    }
+    
+    const account = accounts.getAccount(clientInfo.accountId);
+    return { subjectId: clientInfo.accountId, label: account?.username || clientInfo.accountId };
+}
+
+function handleTwoFactorStatus(ws) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    ws.send(JSON.stringify({
+        type: 'two_factor_status',
+        account: twoFactor.getStatus(clientInfo.accountId),
+        computer: twoFactor.getStatus(clientInfo.computerId)
+    }));
+}
+
+function handleTwoFactorSetup(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const target = getTwoFactorTarget(clientInfo, data.target);
+    const result = target.error
+        ? { success: false, error: target.error }
+        : twoFactor.beginEnrollment(target.subjectId, clientInfo.accountId, target.label);
+    
+    ws.send(JSON.stringify({
+        type: 'two_factor_setup',
+        target: data.target === 'computer' ? 'computer' : 'account',
+        ...result
+    }));
+}
+
+function handleTwoFactorChange(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const target = getTwoFactorTarget(clientInfo, data.target);
+    let result;
+    if (target.error) {
+        result = { success: false, error: target.error };
+    } else if (data.type === 'two_factor_confirm') {
+        result = twoFactor.confirmEnrollment(target.subjectId, data.code);
+    } else if (data.type === 'two_factor_disable') {
+        result = twoFactor.disable(target.subjectId, data.code);
+    } else {
+        result = twoFactor.regenerateRecoveryCodes(target.subjectId, data.code);
+    }
+    
+    ws.send(JSON.stringify({
+        type: 'two_factor_result',
+        action: data.type.replace('two_factor_', ''),
+        target: data.target === 'computer' ? 'computer' : 'account',
+        ...result
+    }));
+}
+
+// ============================================
+// Connected Users Management
+// ============================================
+function handleGetConnectedUsers(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const computer = computers.get(getTargetComputerId(clientInfo, data));
+    if (!computer) return;
+    
+    const users = [];
     computer.connectedClients.forEach(clientWs => {
         const info = clients.get(clientWs);
         if (info) {
@@ -411,6 +1980,7 @@ function handleGetConnectedUsers(ws) {
             users.push({
                 sessionId: info.sessionId,
                 deviceInfo: info.deviceInfo,
+                scopes: info.scopes,
                 connectedAt: session?.createdAt,
                 lastActivity: session?.lastActivity,
                 isCurrentUser: clientWs === ws
@@ -418,317 +1988,1280 @@ function handleGetConnectedUsers(ws) {
         }
     });
     
-    ws.send(JSON.stringify({
-        type: 'connected_users',
-        users: users,
-        totalCount: users.length
+    ws.send(JSON.stringify({
+        type: 'connected_users',
+        computerId: computer.computerId,
+        users: users,
+        totalCount: users.length
+    }));
+}
+
+function notifyComputerOfUserChange(computerId) {
+    const computer = computers.get(computerId);
+    if (!computer) return;
+    
+    const users = [];
+    computer.connectedClients.forEach(clientWs => {
+        const info = clients.get(clientWs);
+        if (info) {
+            users.push({
+                sessionId: info.sessionId,
+                deviceInfo: info.deviceInfo,
+                scopes: info.scopes
+            });
+        }
+    });
+    
+    // Notify computer
+    computer.ws.send(JSON.stringify({
+        type: 'users_changed',
+        users: users,
+        totalCount: users.length
+    }));
+    
+    // Notify all connected clients
+    computer.connectedClients.forEach(clientWs => {
+        clientWs.send(JSON.stringify({
+            type: 'users_changed',
+            computerId,
+            users: users,
+            totalCount: users.length
+        }));
+    });
+    
+    // Client counts are part of the computer directory
+    broadcastPresence(computerId);
+    
+    // ...and who is watching decides the frame rate to ask for
+    updateStreamSettings(computerId);
+}
+
+
+/**
+ * Check if a client connection holds a scope
+ */
+function clientHasScope(clientWs, scope) {
+    const info = clients.get(clientWs);
+    return !!info && permissions.hasScope(info.scopes, scope);
+}
+
+// ============================================
+// Relay Messages
+// ============================================
+function handleRelay(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    // Validate session
+    if (!sessions.validateSession(clientInfo.sessionId).valid) {
+        ws.send(JSON.stringify({ type: 'session_expired', message: 'Session expired' }));
+        return;
+    }
+    
+    // Touch session
+    sessions.touchSession(clientInfo.sessionId);
+    
+    // Forward to computer
+    const computer = computers.get(getTargetComputerId(clientInfo, data));
+    if (computer?.ws.readyState === WebSocket.OPEN) {
+        relaySend(computer.ws, JSON.stringify({
+            type: 'command',
+            sessionId: clientInfo.sessionId,
+            data: data.data
+        }), 'client_to_computer');
+    }
+}
+
+function handleScreenshot(ws, data) {
+    if (!ws.computerId) return;
+    
+    const computer = computers.get(ws.computerId);
+    if (!computer) return;
+    
+    metrics.increment('screenshot_frames_received_total');
+    
+    // Each viewer gets frames as fast as its link and requested rate allow
+    const message = JSON.stringify({
+        type: 'screenshot',
+        computerId: ws.computerId,
+        data: data.data
+    });
+    computer.connectedClients.forEach(clientWs => {
+        if (clientWs.readyState === WebSocket.OPEN && clientHasScope(clientWs, 'view')) {
+            screenStream.offerFrame(clientWs, ws.computerId, message);
+        }
+    });
+}
+
+function handleSetStreamFps(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const computerId = getTargetComputerId(clientInfo, data);
+    const result = screenStream.setTargetFps(ws, computerId, data.fps);
+    
+    ws.send(JSON.stringify({ type: 'stream_fps_set', computerId, ...result }));
+    if (result.success) updateStreamSettings(computerId);
+}
+
+function handleGetStreamStats(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const computerId = getTargetComputerId(clientInfo, data);
+    ws.send(JSON.stringify({
+        type: 'stream_stats',
+        ...(screenStream.getStreamStats(ws, computerId) || { computerId, fps: 0, targetFps: null, sent: 0, dropped: 0, active: false })
+    }));
+}
+
+/**
+ * Ask the computer for the frame rate its viewers want, when that changes
+ */
+function updateStreamSettings(computerId) {
+    const computer = computers.get(computerId);
+    if (!computer || computer.reconnecting || computer.ws.readyState !== WebSocket.OPEN) return;
+    
+    const viewers = Array.from(computer.connectedClients).filter(clientWs => clientHasScope(clientWs, 'view'));
+    const targetFps = screenStream.getComputerTargetFps(computerId, viewers);
+    if (targetFps === computer.streamTargetFps) return;
+    
+    computer.streamTargetFps = targetFps;
+    computer.ws.send(JSON.stringify({ type: 'stream_settings', targetFps }));
+}
+
+/**
+ * Whether a session (live or waiting to resume) may get a computer's results
+ */
+function canReceiveResults(info, computerId) {
+    return !!info && info.computerIds.has(computerId) &&
+        (permissions.hasScope(info.scopes, 'view') || permissions.hasScope(info.scopes, 'input'));
+}
+
+function handleResult(ws, data) {
+    if (!ws.computerId) return;
+    
+    const computer = computers.get(ws.computerId);
+    if (!computer) return;
+    
+    const message = {
+        type: 'result',
+        computerId: ws.computerId,
+        data: data.data
+    };
+    
+    // Computers that echo the command's sessionId answer just the requester,
+    // held for it if it is between connections
+    if (data.sessionId) {
+        const session = sessions.getSession(String(data.sessionId));
+        if (session?.accountId !== computer.accountId) return;
+        
+        const info = session.ws ? clients.get(session.ws) : session.clientInfo;
+        if (canReceiveResults(info, ws.computerId)) {
+            sendToSession(session.id, message);
+        }
+        return;
+    }
+    
+    // Older computers: everyone attached gets it, including sessions about to resume
+    computer.connectedClients.forEach(clientWs => {
+        if (clientWs.readyState === WebSocket.OPEN && canReceiveResults(clients.get(clientWs), ws.computerId)) {
+            relaySend(clientWs, JSON.stringify(message), 'computer_to_client');
+        }
+    });
+    sessions.getDetachedSessions(computer.accountId).forEach(session => {
+        if (canReceiveResults(session.clientInfo, ws.computerId)) {
+            sessions.bufferMessage(session.id, message);
+        }
+    });
+}
+
+// ============================================
+// Sessions Management
+// ============================================
+function handleGetSessions(ws) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    // Sessions paired by a computer's secret only see that computer's sessions
+    const userSessions = sessions.getUserSessions(clientInfo.accountId, clientInfo.viaSecret ? clientInfo.computerId : null);
+    ws.send(JSON.stringify({
+        type: 'sessions_list',
+        sessions: userSessions
+    }));
+}
+
+function handleKickSession(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    if (clientInfo.viaSecret) {
+        ws.send(JSON.stringify({ type: 'kick_result', success: false, error: 'Sign in with the account password to manage its sessions' }));
+        return;
+    }
+    
+    const result = sessions.kickSession(clientInfo.accountId, data.sessionId, clientInfo.deviceInfo);
+    
+    if (result.success) {
+        disconnectSession(result.sessionId);
+        
+        auth.logSecurityEvent('SESSION_KICKED_BY_USER', { 
+            accountId: clientInfo.accountId,
+            kickedSession: data.sessionId, 
+            bySession: clientInfo.sessionId 
+        }, ws.ip);
+    }
+    
+    ws.send(JSON.stringify({ type: 'kick_result', success: result.success, error: result.error }));
+}
+
+/**
+ * Close the socket of a kicked session, if it is connected
+ */
+function disconnectSession(sessionId) {
+    clients.forEach((info, clientWs) => {
+        if (info.sessionId === sessionId) {
+            clientWs.send(JSON.stringify({ 
+                type: 'session_expired', 
+                message: 'You were disconnected by another user' 
+            }));
+            clientWs.close();
+        }
+    });
+}
+
+function handleSetSessionScopes(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    if (clientInfo.viaSecret) {
+        ws.send(JSON.stringify({ type: 'set_scopes_result', success: false, error: 'Sign in with the account password to manage its sessions' }));
+        return;
+    }
+    
+    const result = sessions.setSessionScopes(clientInfo.accountId, data.sessionId, data.scopes, clientInfo.scopes, clientInfo.deviceInfo);
+    
+    if (result.success) {
+        // Apply to the live connection, if any
+        clients.forEach((info, clientWs) => {
+            if (info.sessionId === result.sessionId) {
+                info.scopes = result.scopes;
+                clientWs.send(JSON.stringify({ type: 'scopes_changed', scopes: result.scopes }));
+                info.computerIds.forEach(notifyComputerOfUserChange);
+            }
+        });
+    }
+    
+    ws.send(JSON.stringify({ type: 'set_scopes_result', success: result.success, scopes: result.scopes, error: result.error }));
+}
+
+function handleLogout(ws) {
+    const clientInfo = clients.get(ws);
+    if (clientInfo) {
+        sessions.destroySession(clientInfo.sessionId);
+        auth.logSecurityEvent('LOGOUT', { accountId: clientInfo.accountId, sessionId: clientInfo.sessionId.substring(0, 10) + '...' }, ws.ip);
+    }
+    handleDisconnect(ws);
+}
+
+// ============================================
+// Security
+// ============================================
+function handleGetSecurityLog(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    if (clientInfo.viaSecret) {
+        ws.send(JSON.stringify({ type: 'security_log_error', error: 'Sign in with the account password to view its security log' }));
+        return;
+    }
+    
+    // Clients only ever see their own account
+    const query = auth.parseSecurityLogQuery({ ...data, accountId: undefined });
+    if (!query.valid) {
+        ws.send(JSON.stringify({ type: 'security_log_error', error: query.reason }));
+        return;
+    }
+    
+    const page = auth.getSecurityLog(clientInfo.accountId, query.filters);
+    
+    if (query.filters.format !== 'json') {
+        const exported = auth.exportSecurityLog(page.entries, query.filters.format);
+        ws.send(JSON.stringify({
+            type: 'security_log_export',
+            format: query.filters.format,
+            contentType: exported.contentType,
+            fileName: `security-log.${exported.extension}`,
+            total: page.total,
+            data: exported.data
+        }));
+        return;
+    }
+    
+    ws.send(JSON.stringify({
+        type: 'security_log',
+        log: page.entries,
+        total: page.total,
+        offset: page.offset,
+        limit: page.limit,
+        hasMore: page.hasMore
+    }));
+}
+
+function handleGetTrustedDevices(ws) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const devices = auth.getTrustedDevices(clientInfo.accountId, clientInfo.viaSecret ? clientInfo.computerId : null);
+    ws.send(JSON.stringify({ type: 'trusted_devices', devices }));
+}
+
+function handleGetIpRules(ws) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    ws.send(JSON.stringify({
+        type: 'ip_rules',
+        rules: accounts.getIpRules(clientInfo.accountId),
+        currentIp: ws.ip
+    }));
+}
+
+function handleSetIpRules(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const reply = (result) => ws.send(JSON.stringify({ type: 'ip_rules_result', ...result }));
+    
+    if (clientInfo.viaSecret) {
+        reply({ success: false, error: 'Sign in with the account password to manage its IP rules' });
+        return;
+    }
+    
+    const rules = { allow: data.allow || [], deny: data.deny || [] };
+    
+    // Refuse to lock out the session making the change, unless asked to
+    if (!data.force && !ipFilter.isAllowed(ws.ip, rules).allowed) {
+        reply({ success: false, error: `These rules would block your current address (${ws.ip})`, currentIp: ws.ip });
+        return;
+    }
+    
+    const result = accounts.setIpRules(clientInfo.accountId, rules);
+    reply(result.success ? { success: true, rules: result.rules } : { success: false, error: result.error });
+}
+
+function handleCreateApiToken(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    // Scopes are capped by the session's own
+    const result = sessions.createApiToken(clientInfo.sessionId, {
+        name: data.name,
+        scopes: data.scopes,
+        computerOnly: clientInfo.viaSecret
+    });
+    ws.send(JSON.stringify({ type: 'api_token_created', ...result }));
+}
+
+// ============================================
+// File Transfer
+// ============================================
+function handleFileUploadStart(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    // Stream through to computers that can take chunks as they arrive
+    const computerId = getTargetComputerId(clientInfo, data);
+    const computer = computers.get(computerId);
+    const streaming = !!computer?.streamUploads && computer.ws.readyState === WebSocket.OPEN;
+    
+    const result = fileHandler.startUpload(data.fileName, data.fileSize, data.fileType, clientInfo.accountId, {
+        sessionId: clientInfo.sessionId,
+        computerId,
+        streaming,
+        sha256: data.sha256 ?? null
+    });
+    
+    if (result.success && streaming) {
+        computer.ws.send(JSON.stringify({
+            type: 'file_command',
+            command: 'file_receive',
+            transferId: result.transferId,
+            fileName: data.fileName,
+            fileSize: data.fileSize,
+            binary: computer.binaryChunks,
+            streaming: true,
+            chunkSize: result.chunkSize,
+            totalChunks: result.totalChunks,
+            sha256: data.sha256
+        }));
+    }
+    
+    if (result.success) {
+        ws.send(JSON.stringify({
+            type: 'file_upload_ready',
+            success: true,
+            transferId: result.transferId,
+            computerId,
+            chunkSize: result.chunkSize,
+            totalChunks: result.totalChunks,
+            binary: !!ws.binaryChunks
+        }));
+    } else {
+        ws.send(JSON.stringify({
+            type: 'file_upload_ready',
+            success: false,
+            error: result.error
+        }));
+    }
+}
+
+function handleFileChunk(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    // Only the owning account may feed a transfer
+    if (fileHandler.getTransfer(data.transferId)?.accountId !== clientInfo.accountId) return;
+    
+    const result = fileHandler.receiveChunk(data.transferId, data.chunkIndex, data.data, data.checksum);
+    
+    if (result.details) {
+        sendChunkError(ws, data.transferId, result);
+    }
+    
+    if (result.chunk) {
+        forwardUploadChunk(ws, clientInfo, data.transferId, data.chunkIndex, result.chunk);
+    }
+    
+    if (result.progress) {
+        sendUploadProgress(ws, data.transferId, result);
+    }
+}
+
+/**
+ * Upload progress, the same whether chunks came as JSON or binary frames
+ */
+function sendUploadProgress(ws, transferId, result) {
+    ws.send(JSON.stringify({
+        type: 'file_progress',
+        transferId,
+        progress: result.progress,
+        speed: result.progress.speed
+    }));
+}
+
+/**
+ * Pass a streamed upload chunk to the computer, pausing the sender
+ * while the computer's socket is backed up
+ */
+function forwardUploadChunk(ws, clientInfo, transferId, chunkIndex, chunk) {
+    const computer = computers.get(fileHandler.getTransfer(transferId)?.computerId);
+    if (computer?.ws.readyState !== WebSocket.OPEN) {
+        fileHandler.cancelTransfer(transferId);
+        ws.send(JSON.stringify({ type: 'file_upload_error', transferId, error: 'Computer disconnected' }));
+        return;
+    }
+    
+    const checksum = computer.chunkChecksums ? fileHandler.sha256Hex(chunk) : null;
+    
+    if (computer.binaryChunks) {
+        relaySend(computer.ws, fileHandler.encodeChunkFrame(transferId, chunkIndex, chunk, checksum), 'client_to_computer');
+    } else {
+        relaySend(computer.ws, JSON.stringify({
+            type: 'file_command',
+            command: 'file_receive_chunk',
+            transferId,
+            chunkIndex,
+            data: chunk.toString('base64'),
+            checksum: checksum || undefined
+        }), 'client_to_computer');
+    }
+    
+    applyUploadBackpressure(ws, computer.ws, transferId);
+}
+
+/**
+ * Tell the sender a chunk was rejected; the chunk can be sent again
+ */
+function sendChunkError(ws, transferId, result) {
+    ws.send(JSON.stringify({
+        type: 'file_upload_error',
+        transferId,
+        error: result.error,
+        details: result.details,
+        retryable: true
+    }));
+}
+
+/**
+ * Stop reading from the client while the computer catches up. The heartbeat
+ * spares paused sockets (their pongs wait unread), so the wait is bounded:
+ * a computer that doesn't drain in time fails the upload.
+ */
+function applyUploadBackpressure(clientWs, computerWs, transferId) {
+    const { highWaterMark, lowWaterMark, drainCheckInterval, maxPauseTime } = fileHandler.FILE_CONFIG;
+    if (clientWs.isPaused || computerWs.bufferedAmount < highWaterMark) return;
+    
+    // Well-behaved clients also stop sending
+    clientWs.pause();
+    clientWs.send(JSON.stringify({ type: 'file_upload_pause', transferId }));
+    
+    const pausedAt = Date.now();
+    const timer = setInterval(() => {
+        const computerGone = computerWs.readyState !== WebSocket.OPEN;
+        const stalled = Date.now() - pausedAt > maxPauseTime;
+        if (!computerGone && !stalled && computerWs.bufferedAmount > lowWaterMark && clientWs.readyState === WebSocket.OPEN) return;
+        
+        clearInterval(timer);
+        clientWs.resume();
+        if (clientWs.readyState !== WebSocket.OPEN) return;
+        
+        if (stalled && !computerGone) {
+            const transfer = fileHandler.getTransfer(transferId);
+            if (transfer) cancelFileTransfer(transfer);
+            log.warn('Upload stalled behind computer', { transferId, computerId: transfer?.computerId });
+            clientWs.send(JSON.stringify({ type: 'file_upload_error', transferId, error: 'Computer stopped receiving', retryable: false }));
+            return;
+        }
+        clientWs.send(JSON.stringify({ type: 'file_upload_resume', transferId }));
+    }, drainCheckInterval);
+}
+
+function handleFileUploadComplete(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    // Another account's transfer looks the same as a missing one
+    const transfer = fileHandler.getTransfer(data.transferId);
+    if (transfer?.accountId !== clientInfo.accountId) {
+        ws.send(JSON.stringify({ type: 'file_upload_error', transferId: data.transferId, error: 'Transfer not found', retryable: false }));
+        return;
+    }
+    
+    const computerId = transfer.computerId;
+    const result = fileHandler.completeUpload(data.transferId);
+    
+    if (result.success) {
+        // Send file to the computer the upload was started for
+        const computer = computers.get(computerId);
+        if (computer?.ws.readyState === WebSocket.OPEN) {
+            if (result.streaming) {
+                // Chunks already went through; just close the stream.
+                // The computer checks the hash and answers with file_receive_result.
+                computer.ws.send(JSON.stringify({
+                    type: 'file_command',
+                    command: 'file_receive_complete',
+                    transferId: data.transferId,
+                    sha256: result.sha256,
+                    fileSize: result.fileSize
+                }));
+            } else if (computer.binaryChunks) {
+                sendFileAsFrames(computer, data.transferId, result);
+            } else {
+                relaySend(computer.ws, JSON.stringify({
+                    type: 'file_command',
+                    command: 'file_receive',
+                    transferId: data.transferId,
+                    fileName: result.fileName,
+                    fileData: result.fileData.toString('base64'),
+                    fileSize: result.fileSize,
+                    sha256: result.sha256
+                }), 'client_to_computer');
+            }
+        }
+        
+        ws.send(JSON.stringify({
+            type: 'file_upload_success',
+            transferId: data.transferId,
+            fileName: result.fileName,
+            sha256: result.sha256,
+            verified: !result.deferred
+        }));
+    } else {
+        ws.send(JSON.stringify({
+            type: 'file_upload_error',
+            transferId: data.transferId,
+            error: result.error,
+            details: result.details,
+            retryable: !!result.retryable
+        }));
+        
+        // Let the computer drop a streamed file that failed verification
+        const transfer = fileHandler.getTransfer(data.transferId);
+        if (!result.retryable && transfer?.streaming) {
+            const computer = computers.get(transfer.computerId);
+            if (computer?.ws.readyState === WebSocket.OPEN) {
+                computer.ws.send(JSON.stringify({
+                    type: 'file_command',
+                    command: 'file_receive_cancel',
+                    transferId: data.transferId,
+                    reason: result.details?.reason
+                }));
+            }
+        }
+    }
+}
+
+/**
+ * Computer -> relay: outcome of its own check of a received file
+ */
+function handleFileReceiveResult(ws, data) {
+    if (!ws.computerId) return;
+    
+    const transfer = fileHandler.getTransfer(data.transferId);
+    if (!transfer || transfer.direction !== 'upload' || transfer.accountId !== ws.accountId) return;
+    
+    const clientWs = findComputerClient(ws.computerId, transfer.requesterId);
+    if (clientWs?.readyState !== WebSocket.OPEN) return;
+    
+    if (data.success) {
+        clientWs.send(JSON.stringify({
+            type: 'file_upload_verified',
+            transferId: data.transferId,
+            fileName: transfer.fileName,
+            sha256: data.sha256
+        }));
+    } else {
+        transfer.fail(data.error || 'Verification failed');
+        clientWs.send(JSON.stringify({
+            type: 'file_upload_error',
+            transferId: data.transferId,
+            error: data.error || 'Verification failed',
+            details: {
+                reason: data.reason || 'sha256_mismatch',
+                expectedSha256: transfer.expectedSha256,
+                actualSha256: data.sha256
+            },
+            retryable: false
+        }));
+    }
+}
+
+// ============================================
+// Resumable Uploads
+// ============================================
+function handleFileUploadStatus(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const result = fileHandler.getUploadState(data.transferId, clientInfo.accountId);
+    
+    ws.send(JSON.stringify({
+        type: 'file_upload_state',
+        transferId: data.transferId,
+        success: result.success,
+        error: result.error,
+        ...result.state
+    }));
+}
+
+function handleFileUploadReattach(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    // Streamed uploads are half-written on one computer and must finish there
+    const transfer = fileHandler.getTransfer(data.transferId);
+    const result = transfer?.streaming && !clientInfo.computerIds.has(transfer.computerId)
+        ? { success: false, error: 'Transfer belongs to another computer' }
+        : fileHandler.reattachUpload(data.transferId, clientInfo.accountId, clientInfo.sessionId);
+    
+    ws.send(JSON.stringify({
+        type: 'file_upload_state',
+        transferId: data.transferId,
+        success: result.success,
+        error: result.error,
+        binary: !!ws.binaryChunks,
+        ...result.state
+    }));
+}
+
+/**
+ * Send a completed upload to a binary-capable computer:
+ * JSON header, one binary frame per chunk, JSON trailer
+ */
+function sendFileAsFrames(computer, transferId, file) {
+    const chunkSize = fileHandler.FILE_CONFIG.chunkSize;
+    const totalChunks = Math.ceil(file.fileData.length / chunkSize);
+    
+    computer.ws.send(JSON.stringify({
+        type: 'file_command',
+        command: 'file_receive',
+        transferId: transferId,
+        fileName: file.fileName,
+        fileSize: file.fileSize,
+        binary: true,
+        chunkSize: chunkSize,
+        totalChunks: totalChunks,
+        sha256: file.sha256
+    }));
+    
+    for (let i = 0; i < totalChunks; i++) {
+        const payload = file.fileData.subarray(i * chunkSize, (i + 1) * chunkSize);
+        const checksum = computer.chunkChecksums ? fileHandler.sha256Hex(payload) : null;
+        relaySend(computer.ws, fileHandler.encodeChunkFrame(transferId, i, payload, checksum), 'client_to_computer');
+    }
+    
+    computer.ws.send(JSON.stringify({
+        type: 'file_command',
+        command: 'file_receive_complete',
+        transferId: transferId,
+        sha256: file.sha256,
+        fileSize: file.fileSize
+    }));
+}
+
+function handleFileDownloadRequest(ws, data) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    // Requests made while the computer reconnects wait in its queue
+    const computer = computers.get(getTargetComputerId(clientInfo, data));
+    if (!computer || (!computer.reconnecting && computer.ws.readyState !== WebSocket.OPEN)) {
+        sendDownloadError(ws, null, 'Computer not connected');
+        return;
+    }
+    
+    const download = fileHandler.startDownload(data.filePath, clientInfo.accountId, {
+        sessionId: clientInfo.sessionId,
+        computerId: computer.computerId
+    });
+    
+    // Ask for chunks; computers that predate chunking answer with a single message
+    const request = sendComputerCommand(ws, clientInfo, data, 'file_download_request', {
+        filePath: data.filePath,
+        transferId: download.transferId,
+        chunked: true,
+        chunkSize: download.chunkSize,
+        binary: computer.binaryChunks
+    });
+    if (!request) {
+        fileHandler.cancelTransfer(download.transferId);
+        return;
+    }
+    
+    // The transferId lets the client cancel before any data arrives
+    ws.send(JSON.stringify({
+        type: 'file_download_started',
+        requestId: request.clientRequestId,
+        computerId: computer.computerId,
+        transferId: download.transferId,
+        filePath: data.filePath
+    }));
+}
+
+function handleFileDownloadResponse(ws, data) {
+    if (!ws.computerId) return;
+    
+    const computer = computers.get(ws.computerId);
+    if (!computer) return;
+    
+    // Chunked responses announce the file here and stream chunks afterwards;
+    // single-message responses finish the transfer right away
+    const chunked = !!(data.chunked || data.binary);
+    const transfer = data.transferId ? fileHandler.getTransfer(data.transferId) : null;
+    computerCommands.resolveRequest(ws.computerId, 'file_download_request', {
+        requestId: data.requestId,
+        transferId: data.transferId
+    });
+    let error = data.error;
+    let details;
+    
+    if (transfer && transfer.computerId === ws.computerId) {
+        // A single-message file is checked as one chunk of fileSize bytes
+        const declared = fileHandler.declareDownload(data.transferId, chunked
+            ? data
+            : { ...data, chunkSize: data.fileSize, totalChunks: 1 });
+        error = error || declared.error;
+        
+        if (!error && !chunked && typeof data.fileData === 'string') {
+            const received = fileHandler.receiveChunk(data.transferId, 0, data.fileData);
+            const finished = received.success
+                ? fileHandler.finishDownload(data.transferId)
+                : received;
+            error = finished.error;
+            details = finished.details;
+        }
+        
+        if (error && !details) {
+            fileHandler.cancelTransfer(data.transferId);
+        }
+    }
+    
+    const clientWs = findComputerClient(ws.computerId, data.requesterId);
+    if (!clientWs) return;
+    
+    if (details) {
+        sendDownloadError(clientWs, data.transferId, error, details);
+        return;
+    }
+    
+    relaySend(clientWs, JSON.stringify({
+        type: 'file_download_data',
+        transferId: data.transferId,
+        fileName: data.fileName,
+        fileSize: data.fileSize,
+        fileData: error ? undefined : data.fileData,
+        sha256: data.sha256,
+        chunked: chunked,
+        binary: chunked && !!clientWs.binaryChunks,
+        chunkSize: chunked ? transfer?.chunkSize : undefined,
+        totalChunks: chunked ? transfer?.getTotalChunks() : undefined,
+        error: error
+    }), 'computer_to_client');
+}
+
+/**
+ * Computer -> relay download chunk sent as JSON (computers without binary frames)
+ */
+function handleFileDownloadChunk(ws, data) {
+    if (!ws.computerId || typeof data.data !== 'string') return;
+    
+    relayDownloadChunk(ws, data.transferId, data.chunkIndex, Buffer.from(data.data, 'base64'), data.checksum);
+}
+
+function handleFileDownloadComplete(ws, data) {
+    if (!ws.computerId) return;
+    
+    // Only the computer sending a download may finish it
+    const transfer = fileHandler.getTransfer(data.transferId);
+    if (!transfer || transfer.direction !== 'download' || transfer.computerId !== ws.computerId) return;
+    
+    const result = fileHandler.finishDownload(data.transferId);
+    
+    const clientWs = findComputerClient(ws.computerId, transfer.requesterId);
+    if (!clientWs) return;
+    
+    if (!result.success) {
+        sendDownloadError(clientWs, data.transferId, result.error, result.details);
+        return;
+    }
+    
+    clientWs.send(JSON.stringify({
+        type: 'file_download_complete',
+        transferId: data.transferId,
+        fileName: transfer.fileName,
+        fileSize: transfer.receivedSize,
+        sha256: result.sha256,
+        verified: result.verified
     }));
 }
 
-function notifyComputerOfUserChange(password) {
-    const computer = computers.get(password);
-    if (!computer) return;
-    
-    const users = [];
-    computer.connectedClients.forEach(clientWs => {
-        const info = clients.get(clientWs);
-        if (info) {
-            users.push({
-                sessionId: info.sessionId,
-                deviceInfo: info.deviceInfo
-            });
-        }
-    });
-    
-    // Notify computer
-    computer.ws.send(JSON.stringify({
-        type: 'users_changed',
-        users: users,
-        totalCount: users.length
+function sendDownloadError(clientWs, transferId, error, details) {
+    clientWs.send(JSON.stringify({
+        type: 'file_download_error',
+        transferId,
+        error,
+        details
     }));
-    
-    // Notify all connected clients
-    computer.connectedClients.forEach(clientWs => {
-        clientWs.send(JSON.stringify({
-            type: 'users_changed',
-            users: users,
-            totalCount: users.length
-        }));
-    });
 }
 
+/**
+ * Send to a session's socket, or hold the message for a session that is
+ * detached and may still resume. relayed is false for the relay's own messages.
+ */
+function sendToSession(sessionId, message, relayed = true) {
+    const session = sessions.getSession(sessionId);
+    if (!session) return;
+    
+    if (session.ws?.readyState === WebSocket.OPEN) {
+        if (relayed) {
+            relaySend(session.ws, JSON.stringify(message), 'computer_to_client');
+        } else {
+            session.ws.send(JSON.stringify(message));
+        }
+    } else {
+        sessions.bufferMessage(sessionId, message);
+    }
+}
+
+/**
+ * Find a computer's connected client by sessionId
+ */
+function findComputerClient(computerId, sessionId) {
+    const computer = computers.get(computerId);
+    if (!computer) return null;
+    
+    for (const clientWs of computer.connectedClients) {
+        if (clients.get(clientWs)?.sessionId === sessionId) return clientWs;
+    }
+    return null;
+}
 
 // ============================================
-// Relay Messages
+// Binary Frames
 // ============================================
-function handleRelay(ws, data) {
+
+/**
+ * Check if a connect/register message announced a capability
+ */
+function hasCapability(data, capability) {
+    return Array.isArray(data.capabilities) && data.capabilities.includes(capability);
+}
+
+function supportsBinaryChunks(data) {
+    return hasCapability(data, fileHandler.BINARY_CAPABILITY);
+}
+
+function handleBinaryMessage(ws, message, frame) {
+    if (!frame || !Object.values(fileHandler.FRAME_TYPES).includes(frame.type)) {
+        socketLog(ws).warn('Invalid binary frame', { length: message.length });
+        return;
+    }
+    
+    if (ws.isComputer) {
+        handleDownloadFrame(ws, frame, message);
+    } else {
+        handleUploadFrame(ws, frame);
+    }
+}
+
+/**
+ * Client -> relay upload chunk
+ */
+function handleUploadFrame(ws, frame) {
     const clientInfo = clients.get(ws);
     if (!clientInfo) return;
     
-    // Validate session
-    if (!sessions.validateSession(clientInfo.sessionId)) {
-        ws.send(JSON.stringify({ type: 'session_expired', message: 'Session expired' }));
+    if (!permissions.checkMessage(clientInfo.scopes, 'file_chunk').allowed) {
+        ws.send(JSON.stringify({
+            type: 'forbidden',
+            requestType: 'file_chunk',
+            requiredScope: 'files:write',
+            message: "This session lacks the 'files:write' permission"
+        }));
         return;
     }
     
-    // Touch session
-    sessions.touchSession(clientInfo.sessionId);
+    if (fileHandler.getTransfer(frame.transferId)?.accountId !== clientInfo.accountId) return;
     
-    // Forward to computer
-    const computer = computers.get(clientInfo.password);
-    if (computer?.ws.readyState === WebSocket.OPEN) {
-        computer.ws.send(JSON.stringify({
-            type: 'command',
-            sessionId: clientInfo.sessionId,
-            data: data.data
-        }));
+    const result = fileHandler.receiveChunk(frame.transferId, frame.chunkIndex, frame.payload, frame.checksum);
+    
+    if (result.details) {
+        sendChunkError(ws, frame.transferId, result);
+    }
+    
+    if (result.chunk) {
+        forwardUploadChunk(ws, clientInfo, frame.transferId, frame.chunkIndex, result.chunk);
+    }
+    
+    if (result.progress) {
+        sendUploadProgress(ws, frame.transferId, result);
     }
 }
 
-function handleScreenshot(ws, data) {
-    if (!ws.computerPassword) return;
+/**
+ * Computer -> relay download chunk as a binary frame
+ */
+function handleDownloadFrame(ws, frame, message) {
+    relayDownloadChunk(ws, frame.transferId, frame.chunkIndex, frame.payload, frame.checksum, message);
+}
+
+/**
+ * Track a download chunk and pass it straight to the requester,
+ * in whichever encoding the requester understands
+ */
+function relayDownloadChunk(ws, transferId, chunkIndex, payload, checksum, frame = null) {
+    const transfer = fileHandler.getTransfer(transferId);
+    if (!transfer || transfer.direction !== 'download' || transfer.computerId !== ws.computerId) return;
+    
+    const result = fileHandler.receiveChunk(transferId, chunkIndex, payload, checksum);
+    const clientWs = findComputerClient(ws.computerId, transfer.requesterId);
+    
+    if (!result.success) {
+        // A corrupt download cannot be patched up mid-stream; stop it on both ends
+        if (!result.details) return;
+        transfer.fail(result.details.reason);
+        sendDownloadCancel(ws, transferId, result.details.reason);
+        if (clientWs) sendDownloadError(clientWs, transferId, result.error, result.details);
+        return;
+    }
     
-    const computer = computers.get(ws.computerPassword);
-    if (!computer) return;
+    // Resent chunks already reached the requester
+    if (result.duplicate || clientWs?.readyState !== WebSocket.OPEN) return;
     
-    computer.connectedClients.forEach(clientWs => {
-        if (clientWs.readyState === WebSocket.OPEN) {
-            clientWs.send(JSON.stringify({
-                type: 'screenshot',
-                data: data.data
-            }));
-        }
-    });
+    if (clientWs.binaryChunks) {
+        const passThrough = frame && (!checksum || clientWs.chunkChecksums);
+        relaySend(clientWs, passThrough
+            ? frame
+            : fileHandler.encodeChunkFrame(transferId, chunkIndex, payload, clientWs.chunkChecksums ? checksum : null), 'computer_to_client', { binary: true });
+    } else {
+        relaySend(clientWs, JSON.stringify({
+            type: 'file_download_chunk',
+            transferId,
+            chunkIndex,
+            data: payload.toString('base64'),
+            checksum: checksum || undefined
+        }), 'computer_to_client');
+    }
+    
+    clientWs.send(JSON.stringify({
+        type: 'file_progress',
+        transferId,
+        progress: result.progress
+    }));
+    
+    applyDownloadBackpressure(ws, clientWs, transfer);
 }
 
-function handleResult(ws, data) {
-    if (!ws.computerPassword) return;
+/**
+ * Ask the computer to hold off while the requester's socket is backed up
+ */
+function applyDownloadBackpressure(computerWs, clientWs, transfer) {
+    const { highWaterMark, lowWaterMark, drainCheckInterval } = fileHandler.FILE_CONFIG;
+    if (transfer.paused || clientWs.bufferedAmount < highWaterMark) return;
     
-    const computer = computers.get(ws.computerPassword);
-    if (!computer) return;
+    transfer.paused = true;
+    computerWs.send(JSON.stringify({ type: 'file_command', command: 'file_download_pause', transferId: transfer.id }));
     
-    computer.connectedClients.forEach(clientWs => {
-        if (clientWs.readyState === WebSocket.OPEN) {
-            clientWs.send(JSON.stringify({
-                type: 'result',
-                data: data.data
-            }));
+    const timer = setInterval(() => {
+        const clientGone = clientWs.readyState !== WebSocket.OPEN;
+        if (!clientGone && clientWs.bufferedAmount > lowWaterMark) return;
+        
+        clearInterval(timer);
+        transfer.paused = false;
+        if (!clientGone && computerWs.readyState === WebSocket.OPEN) {
+            computerWs.send(JSON.stringify({ type: 'file_command', command: 'file_download_resume', transferId: transfer.id }));
         }
-    });
+    }, drainCheckInterval);
 }
 
-// ============================================
-// Sessions Management
-// ============================================
-function handleGetSessions(ws) {
-    const clientInfo = clients.get(ws);
-    if (!clientInfo) return;
-    
-    const userSessions = sessions.getUserSessions(clientInfo.password);
-    ws.send(JSON.stringify({
-        type: 'sessions_list',
-        sessions: userSessions
+function sendDownloadCancel(computerWs, transferId, reason) {
+    if (computerWs?.readyState !== WebSocket.OPEN) return;
+    
+    computerWs.send(JSON.stringify({
+        type: 'file_command',
+        command: 'file_download_cancel',
+        transferId,
+        reason
     }));
 }
 
-function handleKickSession(ws, data) {
+function handleFileCancel(ws, data) {
     const clientInfo = clients.get(ws);
     if (!clientInfo) return;
     
-    const result = sessions.kickSession(clientInfo.password, data.sessionId);
+    const transfer = fileHandler.getTransfer(data.transferId);
+    if (!transfer || transfer.accountId !== clientInfo.accountId) return;
     
-    if (result.success) {
-        // Find and disconnect the kicked client
-        const computer = computers.get(clientInfo.password);
-        if (computer) {
-            computer.connectedClients.forEach(clientWs => {
-                if (clientWs.sessionId === data.sessionId) {
-                    clientWs.send(JSON.stringify({ 
-                        type: 'session_expired', 
-                        message: 'You were disconnected by another user' 
-                    }));
-                    clientWs.close();
-                }
-            });
-        }
-        
-        auth.logSecurityEvent(clientInfo.password, 'session_kicked', { 
-            kickedSession: data.sessionId, 
-            bySession: clientInfo.sessionId 
-        });
+    const requiredScope = permissions.PERMISSION_CONFIG.transferScopes[transfer.direction];
+    if (!permissions.hasScope(clientInfo.scopes, requiredScope)) {
+        ws.send(JSON.stringify({
+            type: 'forbidden',
+            requestType: 'file_cancel',
+            requiredScope,
+            message: `This session lacks the '${requiredScope}' permission`
+        }));
+        return;
     }
     
-    ws.send(JSON.stringify({ type: 'kick_result', ...result }));
+    cancelFileTransfer(transfer);
+    
+    ws.send(JSON.stringify({
+        type: 'file_cancelled',
+        transferId: data.transferId,
+        direction: transfer.direction
+    }));
 }
 
-function handleLogout(ws) {
-    const clientInfo = clients.get(ws);
-    if (clientInfo) {
-        sessions.destroySession(clientInfo.sessionId);
-        auth.logSecurityEvent(clientInfo.password, 'logout', { sessionId: clientInfo.sessionId });
+/**
+ * Cancel a transfer and tell the computer on the other end
+ */
+function cancelFileTransfer(transfer) {
+    fileHandler.cancelTransfer(transfer.id);
+    computerCommands.cancelTransferRequest(transfer.id);
+    
+    const computer = computers.get(transfer.computerId);
+    if (transfer.direction === 'download') {
+        // Stop the computer from sending the rest
+        sendDownloadCancel(computer?.ws, transfer.id, 'cancelled');
+    } else if (transfer.streaming && computer?.ws.readyState === WebSocket.OPEN) {
+        // Let the computer drop a partially streamed file
+        computer.ws.send(JSON.stringify({
+            type: 'file_command',
+            command: 'file_receive_cancel',
+            transferId: transfer.id
+        }));
     }
-    handleDisconnect(ws);
 }
 
-// ============================================
-// Security
-// ============================================
-function handleGetSecurityLog(ws) {
+function handleGetRecentFiles(ws) {
     const clientInfo = clients.get(ws);
     if (!clientInfo) return;
     
-    const log = auth.getSecurityLog(clientInfo.password);
-    ws.send(JSON.stringify({ type: 'security_log', log }));
+    const files = fileHandler.getRecentFiles(clientInfo.accountId);
+    ws.send(JSON.stringify({ type: 'recent_files', files }));
 }
 
-function handleGetTrustedDevices(ws) {
+function handleBrowseFiles(ws, data) {
     const clientInfo = clients.get(ws);
     if (!clientInfo) return;
     
-    const devices = auth.getTrustedDevices(clientInfo.password);
-    ws.send(JSON.stringify({ type: 'trusted_devices', devices }));
+    sendComputerCommand(ws, clientInfo, data, 'browse_files', { path: data.path });
 }
 
+
 // ============================================
-// File Transfer
+// Computer Commands
 // ============================================
-function handleFileUploadStart(ws, data) {
-    const clientInfo = clients.get(ws);
-    if (!clientInfo) return;
-    
-    const result = fileHandler.startUpload(clientInfo.password, {
-        fileName: data.fileName,
-        fileSize: data.fileSize,
-        fileType: data.fileType
-    });
-    
-    if (result.success) {
-        ws.send(JSON.stringify({
-            type: 'file_upload_ready',
-            success: true,
-            transferId: result.transferId
-        }));
-    } else {
-        ws.send(JSON.stringify({
-            type: 'file_upload_ready',
-            success: false,
-            error: result.error
-        }));
-    }
+// Every client->computer request carries a relay-issued requestId that the
+// computer echoes back. Clients may tag requests with their own requestId;
+// it comes back on the reply and is what cancel_request takes.
+
+// Failure reply for each tracked command, in the shape the client expects
+const COMMAND_ERROR_REPLIES = {
+    browse_files: error => ({ type: 'browse_result', success: false, error }),
+    file_operation: error => ({ type: 'file_operation_result', success: false, error }),
+    start_watcher: error => ({ type: 'watcher_result', success: false, error }),
+    get_watched_folders: error => ({ type: 'watched_folders', folders: [], error }),
+    file_download_request: error => ({ type: 'file_download_error', error })
+};
+
+function commandError(command, { requestId, transferId, computerId }, error, code) {
+    return {
+        ...COMMAND_ERROR_REPLIES[command](error),
+        requestId,
+        computerId,
+        transferId: transferId || undefined,
+        code
+    };
 }
 
-function handleFileChunk(ws, data) {
-    const clientInfo = clients.get(ws);
-    if (!clientInfo) return;
-    
-    const result = fileHandler.receiveChunk(data.transferId, data.chunkIndex, data.data);
-    
-    if (result.progress) {
-        ws.send(JSON.stringify({
-            type: 'file_progress',
-            transferId: data.transferId,
-            progress: result.progress,
-            speed: result.speed
-        }));
-    }
+function sendCommandError(clientWs, command, reference, error, code) {
+    clientWs.send(JSON.stringify(commandError(command, reference, error, code)));
 }
 
-function handleFileUploadComplete(ws, data) {
-    const clientInfo = clients.get(ws);
-    if (!clientInfo) return;
+/**
+ * Send a tracked command to the session's computer.
+ * Returns the pending request, or null after replying with an error.
+ */
+function sendComputerCommand(ws, clientInfo, data, command, fields) {
+    const clientRequestId = data.requestId;
+    const computer = computers.get(getTargetComputerId(clientInfo, data));
+    const reference = { requestId: clientRequestId, transferId: fields.transferId, computerId: computer?.computerId };
+    const queued = !!computer?.reconnecting;
+    
+    if (queued && !computerCommands.isQueueable(command)) {
+        sendCommandError(ws, command, reference, 'Computer is reconnecting, try again shortly', 'computer_reconnecting');
+        return null;
+    }
+    if (!queued && computer?.ws.readyState !== WebSocket.OPEN) {
+        sendCommandError(ws, command, reference, 'Computer not connected', 'computer_offline');
+        return null;
+    }
     
-    const result = fileHandler.completeUpload(data.transferId);
+    const created = computerCommands.createRequest(command, {
+        sessionId: clientInfo.sessionId,
+        computerId: computer.computerId,
+        clientRequestId,
+        transferId: fields.transferId,
+        queued
+    }, request => failCommand(request, 'Computer did not respond in time', 'timeout'));
+    
+    if (!created.success) {
+        sendCommandError(ws, command, reference, created.error, 'too_many_requests');
+        return null;
+    }
     
-    if (result.success) {
-        // Send file to computer
-        const computer = computers.get(clientInfo.password);
-        if (computer?.ws.readyState === WebSocket.OPEN) {
-            computer.ws.send(JSON.stringify({
-                type: 'file_command',
-                command: 'file_receive',
-                transferId: data.transferId,
-                fileName: result.fileName,
-                fileData: result.fileData,
-                fileSize: result.fileSize
-            }));
+    const message = {
+        type: 'file_command',
+        command,
+        ...fields,
+        requestId: created.request.id,
+        requesterId: clientInfo.sessionId  // Routing for computers that predate requestId
+    };
+    
+    if (queued) {
+        const result = computerCommands.queueCommand(computer.computerId, created.request.id, message);
+        if (!result.success) {
+            computerCommands.discardRequest(created.request.id);
+            sendCommandError(ws, command, reference, result.error, 'too_many_requests');
+            return null;
         }
-        
-        ws.send(JSON.stringify({
-            type: 'file_upload_success',
-            transferId: data.transferId,
-            fileName: result.fileName
-        }));
     } else {
-        ws.send(JSON.stringify({
-            type: 'file_upload_error',
-            transferId: data.transferId,
-            error: result.error
-        }));
+        relaySend(computer.ws, JSON.stringify(message), 'client_to_computer');
     }
-}
-
-function handleFileDownloadRequest(ws, data) {
-    const clientInfo = clients.get(ws);
-    if (!clientInfo) return;
     
-    const computer = computers.get(clientInfo.password);
-    if (computer?.ws.readyState === WebSocket.OPEN) {
-        computer.ws.send(JSON.stringify({
-            type: 'file_command',
-            command: 'file_download_request',
-            filePath: data.filePath,
-            requesterId: clientInfo.sessionId
-        }));
-    }
+    return created.request;
 }
 
-function handleFileDownloadResponse(ws, data) {
-    if (!ws.computerPassword) return;
+/**
+ * Answer a request that will never get its reply
+ */
+function failCommand(request, error, code) {
+    log.warn('Computer command failed', {
+        command: request.command,
+        requestId: request.id,
+        computerId: request.computerId,
+        sessionId: request.sessionId,
+        code
+    });
     
-    const computer = computers.get(ws.computerPassword);
-    if (!computer) return;
+    if (request.transferId) {
+        const transfer = fileHandler.getTransfer(request.transferId);
+        if (transfer) cancelFileTransfer(transfer);
+    }
     
-    computer.connectedClients.forEach(clientWs => {
-        const info = clients.get(clientWs);
-        if (info?.sessionId === data.requesterId) {
-            clientWs.send(JSON.stringify({
-                type: 'file_download_data',
-                fileName: data.fileName,
-                fileData: data.fileData,
-                error: data.error
-            }));
-        }
-    });
-}
-
-function handleFileCancel(ws, data) {
-    fileHandler.cancelTransfer(data.transferId);
+    sendToSession(request.sessionId, commandError(request.command, {
+        requestId: request.clientRequestId,
+        transferId: request.transferId,
+        computerId: request.computerId
+    }, error, code), false);
 }
 
-function handleGetRecentFiles(ws) {
-    const clientInfo = clients.get(ws);
-    if (!clientInfo) return;
+/**
+ * Match a computer's reply to its pending request. Replies that were
+ * cancelled, timed out or never asked for are dropped.
+ */
+function takeCommandReply(ws, command, data) {
+    if (!ws.computerId) return null;
     
-    const files = fileHandler.getRecentFiles(clientInfo.password);
-    ws.send(JSON.stringify({ type: 'recent_files', files }));
+    const request = computerCommands.resolveRequest(ws.computerId, command, data);
+    if (!request) {
+        socketLog(ws).debug('Dropped reply with no pending request', { command, requestId: data.requestId });
+        return null;
+    }
+    
+    return { sessionId: request.sessionId, requestId: request.clientRequestId, computerId: request.computerId };
 }
 
-function handleBrowseFiles(ws, data) {
+function handleCancelRequest(ws, data) {
     const clientInfo = clients.get(ws);
     if (!clientInfo) return;
     
-    const computer = computers.get(clientInfo.password);
-    if (computer?.ws.readyState === WebSocket.OPEN) {
-        computer.ws.send(JSON.stringify({
-            type: 'file_command',
-            command: 'browse_files',
-            path: data.path,
-            requesterId: clientInfo.sessionId
+    const request = computerCommands.cancelRequest(clientInfo.sessionId, data.requestId);
+    if (!request) {
+        ws.send(JSON.stringify({
+            type: 'request_cancelled',
+            requestId: data.requestId,
+            success: false,
+            error: 'No pending request with that ID'
         }));
+        return;
+    }
+    
+    if (request.transferId) {
+        const transfer = fileHandler.getTransfer(request.transferId);
+        if (transfer) cancelFileTransfer(transfer);
+    } else {
+        // Computers that understand this can stop early; the reply is dropped either way
+        const computer = computers.get(request.computerId);
+        if (computer?.ws.readyState === WebSocket.OPEN) {
+            computer.ws.send(JSON.stringify({
+                type: 'file_command',
+                command: 'cancel_request',
+                requestId: request.id
+            }));
+        }
     }
+    
+    ws.send(JSON.stringify({
+        type: 'request_cancelled',
+        requestId: request.clientRequestId,
+        command: request.command,
+        success: true
+    }));
 }
 
-
 // ============================================
 // File Manager Operations
 // ============================================
@@ -736,37 +3269,26 @@ function handleFileOperation(ws, data) {
     const clientInfo = clients.get(ws);
     if (!clientInfo) return;
     
-    const computer = computers.get(clientInfo.password);
-    if (computer?.ws.readyState === WebSocket.OPEN) {
-        computer.ws.send(JSON.stringify({
-            type: 'file_command',
-            command: 'file_operation',
-            operation: data.operation,  // copy, move, delete, rename, create_folder
-            sourcePath: data.sourcePath,
-            destPath: data.destPath,
-            newName: data.newName,
-            requesterId: clientInfo.sessionId
-        }));
-    }
+    sendComputerCommand(ws, clientInfo, data, 'file_operation', {
+        operation: data.operation,  // copy, move, delete, rename, create_folder
+        sourcePath: data.sourcePath,
+        destPath: data.destPath,
+        newName: data.newName
+    });
 }
 
 function handleFileOperationResult(ws, data) {
-    if (!ws.computerPassword) return;
-    
-    const computer = computers.get(ws.computerPassword);
-    if (!computer) return;
-    
-    computer.connectedClients.forEach(clientWs => {
-        const info = clients.get(clientWs);
-        if (info?.sessionId === data.requesterId) {
-            clientWs.send(JSON.stringify({
-                type: 'file_operation_result',
-                operation: data.operation,
-                success: data.success,
-                error: data.error,
-                path: data.path
-            }));
-        }
+    const reply = takeCommandReply(ws, 'file_operation', data);
+    if (!reply) return;
+    
+    sendToSession(reply.sessionId, {
+        type: 'file_operation_result',
+        requestId: reply.requestId,
+        computerId: reply.computerId,
+        operation: data.operation,
+        success: data.success,
+        error: data.error,
+        path: data.path
     });
 }
 
@@ -777,122 +3299,100 @@ function handleStartFileWatcher(ws, data) {
     const clientInfo = clients.get(ws);
     if (!clientInfo) return;
     
-    const computer = computers.get(clientInfo.password);
-    if (computer?.ws.readyState === WebSocket.OPEN) {
-        computer.ws.send(JSON.stringify({
-            type: 'file_command',
-            command: 'start_watcher',
-            path: data.path,
-            watcherId: data.watcherId || `watcher_${Date.now()}`,
-            requesterId: clientInfo.sessionId
-        }));
-    }
+    sendComputerCommand(ws, clientInfo, data, 'start_watcher', {
+        path: data.path,
+        watcherId: data.watcherId || `watcher_${Date.now()}`
+    });
 }
 
 function handleStopFileWatcher(ws, data) {
     const clientInfo = clients.get(ws);
     if (!clientInfo) return;
     
-    const computer = computers.get(clientInfo.password);
-    if (computer?.ws.readyState === WebSocket.OPEN) {
-        computer.ws.send(JSON.stringify({
-            type: 'file_command',
-            command: 'stop_watcher',
-            watcherId: data.watcherId
-        }));
+    const computer = computers.get(getTargetComputerId(clientInfo, data));
+    const message = {
+        type: 'file_command',
+        command: 'stop_watcher',
+        watcherId: data.watcherId
+    };
+    
+    if (computer?.reconnecting) {
+        computerCommands.queueCommand(computer.computerId, null, message);
+    } else if (computer?.ws.readyState === WebSocket.OPEN) {
+        computer.ws.send(JSON.stringify(message));
     }
 }
 
 function handleFileChangeEvent(ws, data) {
-    if (!ws.computerPassword) return;
+    if (!ws.computerId) return;
     
-    const computer = computers.get(ws.computerPassword);
+    const computer = computers.get(ws.computerId);
     if (!computer) return;
     
-    // Broadcast file change to all connected clients
+    // Broadcast file change to all clients allowed to watch
     computer.connectedClients.forEach(clientWs => {
-        clientWs.send(JSON.stringify({
+        if (!clientHasScope(clientWs, 'watch')) return;
+        relaySend(clientWs, JSON.stringify({
             type: 'file_changed',
+            computerId: ws.computerId,
             event: data.event,  // created, modified, deleted, renamed
             path: data.path,
             oldPath: data.oldPath,
             watcherId: data.watcherId,
             timestamp: Date.now()
-        }));
+        }), 'computer_to_client');
     });
 }
 
-function handleGetWatchedFolders(ws) {
+function handleGetWatchedFolders(ws, data) {
     const clientInfo = clients.get(ws);
     if (!clientInfo) return;
     
-    const computer = computers.get(clientInfo.password);
-    if (computer?.ws.readyState === WebSocket.OPEN) {
-        computer.ws.send(JSON.stringify({
-            type: 'file_command',
-            command: 'get_watched_folders',
-            requesterId: clientInfo.sessionId
-        }));
-    }
+    sendComputerCommand(ws, clientInfo, data, 'get_watched_folders', {});
 }
 
 // ============================================
 // Relay Results from Computer to Client
 // ============================================
 function handleBrowseResultRelay(ws, data) {
-    if (!ws.computerPassword) return;
-    
-    const computer = computers.get(ws.computerPassword);
-    if (!computer) return;
-    
-    computer.connectedClients.forEach(clientWs => {
-        const info = clients.get(clientWs);
-        if (info?.sessionId === data.requesterId) {
-            clientWs.send(JSON.stringify({
-                type: 'browse_result',
-                success: data.success,
-                path: data.path,
-                items: data.items,
-                error: data.error
-            }));
-        }
+    const reply = takeCommandReply(ws, 'browse_files', data);
+    if (!reply) return;
+    
+    sendToSession(reply.sessionId, {
+        type: 'browse_result',
+        requestId: reply.requestId,
+        computerId: reply.computerId,
+        success: data.success,
+        path: data.path,
+        items: data.items,
+        error: data.error
     });
 }
 
 function handleWatcherResultRelay(ws, data) {
-    if (!ws.computerPassword) return;
-    
-    const computer = computers.get(ws.computerPassword);
-    if (!computer) return;
-    
-    computer.connectedClients.forEach(clientWs => {
-        const info = clients.get(clientWs);
-        if (info?.sessionId === data.requesterId) {
-            clientWs.send(JSON.stringify({
-                type: 'watcher_result',
-                success: data.success,
-                watcherId: data.watcherId,
-                path: data.path,
-                error: data.error
-            }));
-        }
+    const reply = takeCommandReply(ws, 'start_watcher', data);
+    if (!reply) return;
+    
+    sendToSession(reply.sessionId, {
+        type: 'watcher_result',
+        requestId: reply.requestId,
+        computerId: reply.computerId,
+        success: data.success,
+        watcherId: data.watcherId,
+        path: data.path,
+        error: data.error
     });
 }
 
 function handleWatchedFoldersRelay(ws, data) {
-    if (!ws.computerPassword) return;
-    
-    const computer = computers.get(ws.computerPassword);
-    if (!computer) return;
-    
-    computer.connectedClients.forEach(clientWs => {
-        const info = clients.get(clientWs);
-        if (info?.sessionId === data.requesterId) {
-            clientWs.send(JSON.stringify({
-                type: 'watched_folders',
-                folders: data.folders
-            }));
-        }
+    const reply = takeCommandReply(ws, 'get_watched_folders', data);
+    if (!reply) return;
+    
+    sendToSession(reply.sessionId, {
+        type: 'watched_folders',
+        requestId: reply.requestId,
+        computerId: reply.computerId,
+        folders: data.folders
     });
 }
 
@@ -901,149 +3401,545 @@ function handleWatchedFoldersRelay(ws, data) {
 // ============================================
 function handleDisconnect(ws) {
     // Computer disconnected
-    if (ws.isComputer && ws.computerPassword) {
-        const computer = computers.get(ws.computerPassword);
-        if (computer) {
-            // Notify all clients
-            computer.connectedClients.forEach(clientWs => {
-                clientWs.send(JSON.stringify({ type: 'computer_disconnected' }));
-            });
-            computers.delete(ws.computerPassword);
+    if (ws.isComputer && ws.computerId) {
+        const computer = computers.get(ws.computerId);
+        // Ignore stale sockets replaced by a newer registration
+        if (computer && computer.ws === ws) {
+            if (ws.skipGrace || computerCommands.COMMAND_CONFIG.reconnectGrace <= 0) {
+                expireComputer(ws.computerId);
+            } else {
+                // Anything the old socket was working on is lost with it
+                fileHandler.failComputerDownloads(ws.computerId).forEach(transfer => {
+                    const clientWs = findComputerClient(ws.computerId, transfer.requesterId);
+                    if (clientWs) sendDownloadError(clientWs, transfer.id, 'Computer disconnected');
+                });
+                computerCommands.takeComputerRequests(ws.computerId)
+                    .filter(request => !request.transferId)
+                    .forEach(request => failCommand(request, 'Computer disconnected', 'computer_disconnected'));
+                
+                startGracePeriod(computer);
+            }
         }
-        auth.logSecurityEvent(ws.computerPassword, 'computer_disconnected', {});
-        console.log(`💻 Computer disconnected: ${ws.computerPassword.substring(0, 4)}***`);
+        auth.logSecurityEvent('COMPUTER_DISCONNECTED', { accountId: ws.accountId, computerId: ws.computerId }, ws.ip);
+        socketLog(ws).info('Computer disconnected');
         return;
     }
     
-    // Client disconnected
+    // Client disconnected; signed in or not, it no longer waits for wakes
+    wakeOnLan.dropWaiter(ws);
+    screenStream.removeClient(ws);
     const clientInfo = clients.get(ws);
     if (clientInfo) {
-        sessions.destroySession(clientInfo.sessionId);
-        
-        const computer = computers.get(clientInfo.password);
-        if (computer) {
-            computer.connectedClients.delete(ws);
-            notifyComputerOfUserChange(clientInfo.password);
+        // Unless it logged out, the client may resume the session for a while;
+        // replies to its pending requests are held until then
+        if (!sessions.detachSession(clientInfo.sessionId, clientInfo)) {
+            sessions.destroySession(clientInfo.sessionId);
+            computerCommands.dropSessionRequests(clientInfo.sessionId);
         }
         
+        // Uploads stay resumable from a new session for a while
+        fileHandler.interruptSessionTransfers(clientInfo.sessionId);
+        
+        // Downloads have nobody left to deliver to
+        fileHandler.cancelSessionDownloads(clientInfo.sessionId).forEach(transfer => {
+            sendDownloadCancel(computers.get(transfer.computerId)?.ws, transfer.id, 'requester_disconnected');
+        });
+        
         clients.delete(ws);
-        console.log(`📱 Client disconnected: ${clientInfo.sessionId}`);
+        getAttachedComputers(clientInfo).forEach(computer => {
+            computer.connectedClients.delete(ws);
+            notifyComputerOfUserChange(computer.computerId);
+        });
+        
+        log.info('Client disconnected', { sessionId: clientInfo.sessionId, computerId: clientInfo.computerId });
     }
 }
 
 // ============================================
-// Wake on LAN Handler
+// REST API (/api/v1)
 // ============================================
-function handleWakeOnLan(req, res) {
-    let body = '';
+// Bearer tokens come from create_api_token on a live session and carry
+// that session's account, computer and scopes. Routes marked account: true
+// refuse tokens from sessions paired by a computer's secret.
+const API_ROUTES = [
+    { method: 'GET', path: /^\/api\/v1\/me$/, handler: apiGetMe },
+    { method: 'DELETE', path: /^\/api\/v1\/tokens\/current$/, handler: apiRevokeToken },
+    { method: 'GET', path: /^\/api\/v1\/computers$/, handler: apiListComputers },
+    { method: 'GET', path: /^\/api\/v1\/computers\/([^/]+)$/, handler: apiGetComputer },
+    { method: 'POST', path: /^\/api\/v1\/computers\/([^/]+)\/wake$/, scope: 'admin', handler: apiWakeComputer },
+    { method: 'GET', path: /^\/api\/v1\/sessions$/, scope: 'admin', handler: apiListSessions },
+    { method: 'DELETE', path: /^\/api\/v1\/sessions\/([^/]+)$/, scope: 'admin', account: true, handler: apiKickSession },
+    { method: 'GET', path: /^\/api\/v1\/security-log$/, scope: 'admin', account: true, handler: apiGetSecurityLog },
+    { method: 'GET', path: /^\/api\/v1\/trusted-devices$/, scope: 'admin', handler: apiListTrustedDevices },
+    { method: 'GET', path: /^\/api\/v1\/ip-rules$/, scope: 'admin', handler: ({ res, record }) => sendJson(res, 200, { rules: accounts.getIpRules(record.accountId) }) },
+    { method: 'DELETE', path: /^\/api\/v1\/trusted-devices\/([^/]+)$/, scope: 'admin', account: true, handler: apiRemoveTrustedDevice },
+    { method: 'GET', path: /^\/api\/v1\/transfers$/, scope: 'files:read', handler: apiListTransfers },
+    { method: 'GET', path: /^\/api\/v1\/transfers\/([^/]+)$/, scope: 'files:read', handler: apiGetTransfer },
+    { method: 'DELETE', path: /^\/api\/v1\/transfers\/([^/]+)$/, scope: 'files:write', handler: apiCancelTransfer }
+];
+
+function sendJson(res, statusCode, body) {
+    res.statusCode = statusCode;
+    res.end(JSON.stringify(body));
+}
+
+function getBearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Find the route for a request, answering 404/405 when there is none
+ */
+function findRoute(routes, req, res, url) {
+    const matching = routes.filter(route => route.path.test(url));
+    if (matching.length === 0) {
+        sendJson(res, 404, { error: 'Not found' });
+        return null;
+    }
     
-    req.on('data', chunk => {
-        body += chunk.toString();
-    });
+    const route = matching.find(r => r.method === req.method);
+    if (!route) {
+        res.setHeader('Allow', matching.map(r => r.method).join(', '));
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return null;
+    }
     
-    req.on('end', () => {
-        try {
-            const data = JSON.parse(body);
-            const { mac, broadcastIp, port } = data;
-            
-            if (!mac) {
-                res.statusCode = 400;
-                res.end(JSON.stringify({ error: 'MAC address required' }));
-                return;
-            }
-            
-            // Create Magic Packet
-            const magicPacket = createMagicPacket(mac);
-            
-            // Send UDP packet
-            const client = dgram.createSocket('udp4');
-            
-            client.on('error', (err) => {
-                console.error('WoL UDP Error:', err);
-                client.close();
-            });
-            
-            client.bind(() => {
-                client.setBroadcast(true);
-                
-                const targetIp = broadcastIp || '255.255.255.255';
-                const targetPort = port || 9;
-                
-                client.send(magicPacket, 0, magicPacket.length, targetPort, targetIp, (err) => {
-                    client.close();
-                    
-                    if (err) {
-                        console.error('WoL Send Error:', err);
-                        res.statusCode = 500;
-                        res.end(JSON.stringify({ error: 'Failed to send wake packet', details: err.message }));
-                    } else {
-                        console.log(`✅ WoL packet sent to ${mac} via ${targetIp}:${targetPort}`);
-                        res.end(JSON.stringify({ 
-                            success: true, 
-                            message: 'Wake packet sent',
-                            mac: mac,
-                            target: `${targetIp}:${targetPort}`
-                        }));
-                    }
-                });
-            });
-            
-        } catch (e) {
-            console.error('WoL Parse Error:', e);
-            res.statusCode = 400;
-            res.end(JSON.stringify({ error: 'Invalid request body' }));
+    return route;
+}
+
+/**
+ * Decoded path parameters of a matched route; null if an escape is malformed
+ */
+function getRouteParams(route, url) {
+    try {
+        return route.path.exec(url).slice(1).map(decodeURIComponent);
+    } catch (e) {
+        if (e instanceof URIError) return null;
+        throw e;
+    }
+}
+
+function handleApiRequest(req, res, url) {
+    const route = findRoute(API_ROUTES, req, res, url);
+    if (!route) return;
+    
+    const token = getBearerToken(req);
+    const validation = token ? sessions.validateApiToken(token) : { valid: false, reason: 'Missing bearer token' };
+    if (!validation.valid) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJson(res, 401, { error: validation.reason });
+        return;
+    }
+    
+    if (!accounts.checkAccountIp(validation.token.accountId, req.ip).allowed) {
+        auth.logSecurityEvent('IP_BLOCKED', { accountId: validation.token.accountId, tokenId: validation.token.id }, req.ip);
+        sendJson(res, 403, { error: 'Access from this address is not allowed' });
+        return;
+    }
+    
+    if (route.scope && !permissions.hasScope(validation.token.scopes, route.scope)) {
+        sendJson(res, 403, {
+            error: `This token lacks the '${route.scope}' permission`,
+            requiredScope: route.scope
+        });
+        return;
+    }
+    
+    if (route.account && validation.token.computerOnly) {
+        sendJson(res, 403, { error: 'Tokens from a computer-paired session cannot manage the account' });
+        return;
+    }
+    
+    const params = getRouteParams(route, url);
+    if (!params) {
+        sendJson(res, 400, { error: 'Malformed URL encoding' });
+        return;
+    }
+    
+    try {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        route.handler({ req, res, token, record: validation.token, params, query });
+    } catch (e) {
+        log.error('API request failed', { method: req.method, path: url, error: e });
+        sendJson(res, 500, { error: 'Internal server error' });
+    }
+}
+
+function apiGetMe({ res, record }) {
+    sendJson(res, 200, { token: sessions.getApiTokenInfo(record) });
+}
+
+function apiRevokeToken({ res, token }) {
+    sessions.revokeApiToken(token);
+    sendJson(res, 200, { success: true });
+}
+
+/**
+ * Computers visible to a token, like list_computers for the session it came from
+ */
+function getTokenComputers(record) {
+    return getVisibleComputers({ accountId: record.accountId, computerId: record.computerId, viaSecret: record.computerOnly });
+}
+
+function apiListComputers({ res, record }) {
+    sendJson(res, 200, { computers: getTokenComputers(record).map(describeComputer) });
+}
+
+function apiGetComputer({ res, record, params }) {
+    const computer = getTokenComputers(record).find(c => c.id === params[0]);
+    if (!computer) {
+        sendJson(res, 404, { error: 'Computer not found' });
+        return;
+    }
+    sendJson(res, 200, { computer: describeComputer(computer) });
+}
+
+/**
+ * Send a wake packet; the caller polls the computer for when it is up
+ */
+function apiWakeComputer({ req, res, record, params }) {
+    const computer = getTokenComputers(record).find(c => c.id === params[0]);
+    if (!computer) {
+        sendJson(res, 404, { error: 'Computer not found' });
+        return;
+    }
+    if (computers.has(computer.id)) {
+        sendJson(res, 200, { success: true, computerId: computer.id, status: 'online' });
+        return;
+    }
+    if (!computer.wakeTarget) {
+        sendJson(res, 409, { error: 'This computer has not reported a wake-on-LAN address' });
+        return;
+    }
+    
+    auth.logSecurityEvent('COMPUTER_WAKE_REQUESTED', { accountId: record.accountId, computerId: computer.id, tokenId: record.id }, req.ip);
+    emitWakePacket(computer, null, (err, { via }) => {
+        if (err) {
+            log.error('WoL send failed', { computerId: computer.id, error: err });
+            sendJson(res, 502, { error: 'Failed to send wake packet' });
+            return;
         }
+        sendJson(res, 202, { success: true, computerId: computer.id, status: 'waking', via });
     });
 }
 
+function apiListSessions({ res, record }) {
+    sendJson(res, 200, { sessions: sessions.getUserSessions(record.accountId, record.computerOnly ? record.computerId : null) });
+}
+
+function apiKickSession({ res, record, params }) {
+    const result = sessions.kickSession(record.accountId, params[0], { name: `API token ${record.id}` });
+    if (!result.success) {
+        sendJson(res, 404, { error: result.error });
+        return;
+    }
+    
+    disconnectSession(result.sessionId);
+    sendJson(res, 200, { success: true });
+}
+
+function apiGetSecurityLog({ res, record, query }) {
+    const params = Object.fromEntries(query);
+    delete params.accountId;
+    sendSecurityLog(res, record.accountId, params);
+}
+
 /**
- * Create Magic Packet for Wake on LAN
- * Format: 6 bytes of 0xFF followed by MAC address repeated 16 times
+ * Answer a security log query as a JSON page or a CSV/JSON Lines download
  */
-function createMagicPacket(mac) {
-    // Parse MAC address
-    const macBytes = mac.split(/[-:]/).map(hex => parseInt(hex, 16));
+function sendSecurityLog(res, accountId, params) {
+    const parsed = auth.parseSecurityLogQuery(params);
+    if (!parsed.valid) {
+        sendJson(res, 400, { error: parsed.reason });
+        return;
+    }
     
-    if (macBytes.length !== 6) {
-        throw new Error('Invalid MAC address format');
+    const { format } = parsed.filters;
+    const page = auth.getSecurityLog(accountId, parsed.filters);
+    
+    if (format !== 'json') {
+        const exported = auth.exportSecurityLog(page.entries, format);
+        res.setHeader('Content-Type', exported.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="security-log.${exported.extension}"`);
+        res.setHeader('X-Total-Count', String(page.total));
+        res.end(exported.data);
+        return;
     }
     
-    // Create packet: 6 x 0xFF + 16 x MAC
-    const packet = Buffer.alloc(102);
+    sendJson(res, 200, {
+        log: page.entries,
+        total: page.total,
+        offset: page.offset,
+        limit: page.limit,
+        hasMore: page.hasMore
+    });
+}
+
+function apiListTrustedDevices({ res, record }) {
+    sendJson(res, 200, { devices: auth.getTrustedDevices(record.accountId, record.computerOnly ? record.computerId : null) });
+}
+
+function apiRemoveTrustedDevice({ res, record, params }) {
+    const result = auth.removeAccountDevice(record.accountId, params[0]);
+    if (!result.success) {
+        sendJson(res, 404, { error: result.error });
+        return;
+    }
+    sendJson(res, 200, { success: true });
+}
+
+function apiListTransfers({ res, record }) {
+    sendJson(res, 200, { transfers: fileHandler.getActiveTransfers(record.accountId) });
+}
+
+function apiGetTransfer({ res, record, params }) {
+    const transfer = fileHandler.getTransfer(params[0]);
+    if (!transfer || transfer.accountId !== record.accountId) {
+        sendJson(res, 404, { error: 'Transfer not found' });
+        return;
+    }
+    sendJson(res, 200, { transfer: { ...transfer.getProgress(), direction: transfer.direction } });
+}
+
+function apiCancelTransfer({ res, record, params }) {
+    const transfer = fileHandler.getTransfer(params[0]);
+    if (!transfer || transfer.accountId !== record.accountId) {
+        sendJson(res, 404, { error: 'Transfer not found' });
+        return;
+    }
     
-    // First 6 bytes: 0xFF
-    for (let i = 0; i < 6; i++) {
-        packet[i] = 0xFF;
+    if (!['pending', 'transferring', 'interrupted'].includes(transfer.status)) {
+        sendJson(res, 409, { error: `Transfer ${transfer.status}` });
+        return;
     }
     
-    // Repeat MAC 16 times
-    for (let i = 0; i < 16; i++) {
-        for (let j = 0; j < 6; j++) {
-            packet[6 + (i * 6) + j] = macBytes[j];
-        }
+    cancelFileTransfer(transfer);
+    sendJson(res, 200, { success: true });
+}
+
+// ============================================
+// Admin Console (/admin)
+// ============================================
+// For whoever runs the relay: sees across accounts. Enabled by ADMIN_TOKEN.
+const ADMIN_ROUTES = [
+    { method: 'GET', path: /^\/admin\/api\/overview$/, handler: adminGetOverview },
+    { method: 'GET', path: /^\/admin\/api\/computers$/, handler: ({ res }) => sendJson(res, 200, { computers: getComputersOverview() }) },
+    { method: 'POST', path: /^\/admin\/api\/computers\/([^/]+)\/disconnect$/, handler: adminDisconnectComputer },
+    { method: 'GET', path: /^\/admin\/api\/sessions$/, handler: ({ res }) => sendJson(res, 200, { sessions: sessions.getAllSessions() }) },
+    { method: 'DELETE', path: /^\/admin\/api\/sessions\/([^/]+)$/, handler: adminKickSession },
+    { method: 'GET', path: /^\/admin\/api\/transfers$/, handler: ({ res }) => sendJson(res, 200, { transfers: fileHandler.getAllTransfers() }) },
+    { method: 'GET', path: /^\/admin\/api\/lockouts$/, handler: ({ res }) => sendJson(res, 200, { lockouts: auth.getFailedAttemptsInfo() }) },
+    { method: 'DELETE', path: /^\/admin\/api\/lockouts\/([^/]+)$/, handler: adminClearLockout },
+    { method: 'GET', path: /^\/admin\/api\/security-log$/, handler: adminGetSecurityLog }
+];
+
+function handleAdminRequest(req, res, url) {
+    // Without a configured token the console does not exist
+    if (!adminConsole.isEnabled()) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+    
+    if (url === '/admin' || url === '/admin/') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.end(adminConsole.renderConsolePage());
+        return;
+    }
+    
+    const route = findRoute(ADMIN_ROUTES, req, res, url);
+    if (!route) return;
+    
+    // Wrong tokens count towards the same lockout as logins
+    const ip = req.ip;
+    const lockoutKey = 'admin:' + ip;
+    const lockout = auth.checkLockout(['ip:' + ip, lockoutKey]);
+    if (lockout.locked) {
+        res.setHeader('Retry-After', String(lockout.retryAfter));
+        sendJson(res, 429, { error: auth.describeLockout(lockout) });
+        return;
+    }
+    
+    if (!adminConsole.verifyToken(getBearerToken(req))) {
+        auth.recordFailedAttempt(['ip:' + ip, lockoutKey], {}, ip);
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJson(res, 401, { error: 'Invalid admin token' });
+        return;
+    }
+    auth.clearFailedAttempts(lockoutKey);
+    
+    const params = getRouteParams(route, url);
+    if (!params) {
+        sendJson(res, 400, { error: 'Malformed URL encoding' });
+        return;
+    }
+    
+    try {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        route.handler({ req, res, ip, params, query });
+    } catch (e) {
+        log.error('Admin request failed', { method: req.method, path: url, error: e });
+        sendJson(res, 500, { error: 'Internal server error' });
+    }
+}
+
+/**
+ * Connected computers with their clients
+ */
+function getComputersOverview() {
+    return Array.from(computers.values()).map(computer => ({
+        computerId: computer.computerId,
+        accountId: computer.accountId,
+        name: registry.getComputer(computer.computerId)?.name || computer.info.hostname || null,
+        ip: computer.ws.ip,
+        info: computer.info,
+        reconnecting: computer.reconnecting,
+        clients: Array.from(computer.connectedClients).map(clientWs => {
+            const info = clients.get(clientWs) || {};
+            return {
+                sessionId: info.sessionId ? info.sessionId.substring(0, 10) + '...' : null,
+                accountId: info.accountId,
+                deviceName: info.deviceInfo?.name,
+                scopes: info.scopes,
+                ip: clientWs.ip
+            };
+        })
+    }));
+}
+
+function adminGetOverview({ res }) {
+    sendJson(res, 200, {
+        version: VERSION,
+        stats: sessions.getSessionStats(),
+        computers: getComputersOverview(),
+        sessions: sessions.getAllSessions(),
+        transfers: fileHandler.getAllTransfers(),
+        lockouts: auth.getFailedAttemptsInfo(),
+        bruteForce: auth.getBruteForceStatus(),
+        securityEvents: auth.getAllSecurityEvents(adminConsole.ADMIN_CONFIG.securityEventLimit)
+    });
+}
+
+function adminGetSecurityLog({ res, query }) {
+    // The operator may narrow to one account with ?accountId=
+    sendSecurityLog(res, null, Object.fromEntries(query));
+}
+
+function adminKickSession({ res, ip, params }) {
+    const sessionId = sessions.resolveSessionId(params[0]);
+    const session = sessionId ? sessions.getSession(sessionId) : null;
+    if (!session) {
+        sendJson(res, 404, { error: 'Session not found' });
+        return;
+    }
+    
+    sessions.kickSession(session.accountId, sessionId, { name: 'Relay operator' });
+    disconnectSession(sessionId);
+    
+    auth.logSecurityEvent('SESSION_KICKED_BY_OPERATOR', { accountId: session.accountId, sessionId: sessionId.substring(0, 10) + '...' }, ip);
+    sendJson(res, 200, { success: true });
+}
+
+function adminDisconnectComputer({ res, ip, params }) {
+    const computer = computers.get(params[0]);
+    if (!computer) {
+        sendJson(res, 404, { error: 'Computer not connected' });
+        return;
+    }
+    
+    auth.logSecurityEvent('COMPUTER_DISCONNECTED_BY_OPERATOR', { accountId: computer.accountId, computerId: computer.computerId }, ip);
+    if (computer.reconnecting) {
+        expireComputer(computer.computerId);
+    } else {
+        computer.ws.skipGrace = true;
+        computer.ws.close(1008, 'Disconnected by relay operator');
+    }
+    sendJson(res, 200, { success: true });
+}
+
+function adminClearLockout({ res, ip, params }) {
+    const key = params[0];
+    if (!auth.getFailedAttemptsInfo().some(entry => entry.key === key)) {
+        sendJson(res, 404, { error: 'No failed attempts recorded for this key' });
+        return;
+    }
+    
+    auth.clearFailedAttempts(key);
+    auth.logSecurityEvent('LOCKOUT_CLEARED', { key }, ip);
+    sendJson(res, 200, { success: true });
+}
+
+// ============================================
+// Metrics (/metrics)
+// ============================================
+// Prometheus scrape endpoint. Set METRICS_TOKEN to require a bearer token.
+metrics.defineGauge('computers_connected', 'Computers currently connected', () => {
+    return Array.from(computers.values()).filter(computer => !computer.reconnecting).length;
+});
+metrics.defineGauge('computers_reconnecting', 'Computers inside their reconnect grace window', () => {
+    return Array.from(computers.values()).filter(computer => computer.reconnecting).length;
+});
+metrics.defineGauge('clients_connected', 'Clients currently connected', () => clients.size);
+metrics.defineGauge('sessions', 'Sessions by state', () => {
+    const stats = sessions.getSessionStats();
+    return [
+        { labels: { state: 'active' }, value: stats.active - stats.detached },
+        { labels: { state: 'detached' }, value: stats.detached },
+        { labels: { state: 'expired' }, value: stats.expired }
+    ];
+});
+metrics.defineGauge('transfers_active', 'File transfers in progress, by direction', () => {
+    const counts = { upload: 0, download: 0 };
+    fileHandler.getAllTransfers()
+        .filter(t => ['pending', 'transferring', 'interrupted'].includes(t.status))
+        .forEach(t => counts[t.direction]++);
+    return Object.entries(counts).map(([direction, value]) => ({ labels: { direction }, value }));
+});
+metrics.defineGauge('brute_force_detected', 'Whether the relay-wide failure rate is over the threshold',
+    () => (auth.getBruteForceStatus().underAttack ? 1 : 0));
+metrics.defineGauge('lockouts_active', 'Login keys currently locked out',
+    () => auth.getFailedAttemptsInfo().filter(info => info.lockedOut).length);
+metrics.defineGauge('process_uptime_seconds', 'Seconds since the relay started', () => Math.floor(process.uptime()));
+metrics.defineGauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+
+function handleMetricsRequest(req, res) {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+    
+    if (!metrics.verifyToken(getBearerToken(req))) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJson(res, 401, { error: 'Invalid metrics token' });
+        return;
     }
     
-    return packet;
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.end(metrics.render());
+}
+
+// ============================================
+// Graceful Shutdown
+// ============================================
+function shutdown(signal) {
+    log.info('Shutting down, saving state', { signal });
+    storage.compactAll();
+    process.exit(0);
 }
 
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // ============================================
 // Start Server
 // ============================================
 server.listen(PORT, () => {
-    console.log(`
-╔══════════════════════════════════════════╗
-║     YAS Remote Pro - Relay Server        ║
-║     Version: ${VERSION}                          ║
-╠══════════════════════════════════════════╣
-║  ✅ HTTP Server: Port ${PORT}                 ║
-║  ✅ WebSocket Server: Ready               ║
-║  ✅ Auth System: Active                   ║
-║  ✅ Sessions: Active                      ║
-║  ✅ File Transfer: Ready                  ║
-║  ✅ Multi-User: Ready                     ║
-║  ✅ File Manager: Ready                   ║
-║  ✅ File Watcher: Ready                   ║
-║  ✅ Wake on LAN: Ready                    ║
-╚══════════════════════════════════════════╝
-    `);
+    log.info('YAS Remote Pro - Relay Server started', {
+        version: VERSION,
+        port: Number(PORT),
+        storage: storage.STORAGE_CONFIG.backend,
+        logLevel: logger.LOG_CONFIG.level,
+        logFile: logger.LOG_CONFIG.file
+    });
 });
@@ -1,10 +1,16 @@
 /**
  * YAS Remote Pro - Session Management Module
- * Version: 3.0
- * Features: Session tracking, Auto-timeout, Activity monitoring
+ * Version: 3.3
+ * Features: Session tracking, Auto-timeout, Activity monitoring, Resume after a dropped connection
  */
 
+const crypto = require('crypto');
 const auth = require('./auth');
+const storage = require('./storage');
+const permissions = require('./permissions');
+const logger = require('./logger');
+
+const log = logger.createLogger('sessions');
 
 // ============================================
 // Configuration
@@ -13,28 +19,46 @@ const SESSION_CONFIG = {
     timeout: 30 * 60 * 1000,           // 30 minutes inactivity timeout
     heartbeatInterval: 30 * 1000,       // 30 seconds heartbeat
     maxSessionsPerUser: 5,              // Max concurrent sessions
-    cleanupInterval: 60 * 1000          // Cleanup every minute
+    cleanupInterval: 60 * 1000,         // Cleanup every minute
+    activitySaveInterval: 60 * 1000,    // Store lastActivity at most this often
+    apiTokenLifetime: 24 * 60 * 60 * 1000,  // REST tokens last 24 hours
+    
+    // A dropped client may resume its session this long after its socket closed (0 disables)
+    resumeWindow: Math.max(0, parseInt(process.env.SESSION_RESUME_SECONDS ?? '120', 10) || 0) * 1000,
+    maxBufferedMessages: 200,           // Results held for a detached session
+    maxBufferedBytes: 1024 * 1024
 };
 
 // ============================================
-// Data Stores
+// Session Class
 // ============================================
-const sessions = new Map();  // sessionId -> SessionData
-const userSessions = new Map(); // password -> Set<sessionId>
 
 /**
  * Session Data Structure
  */
 class Session {
-    constructor(sessionId, password, deviceInfo, ip) {
+    constructor(sessionId, accountId, deviceInfo, ip, computerId = null, scopes = permissions.SCOPES) {
         this.id = sessionId;
-        this.password = password;
+        this.accountId = accountId;
+        this.computerId = computerId;
+        this.attachedComputerIds = computerId ? [computerId] : [];  // Every computer the client works with
+        this.scopes = scopes;
+        this.scopeCeiling = scopes;    // Most the session's credential allows; scope changes stay within it
+        this.viaSecret = false;        // Opened with a computer's pairing secret
         this.deviceInfo = deviceInfo;
         this.ip = ip;
         this.createdAt = Date.now();
         this.lastActivity = Date.now();
+        this.activitySavedAt = this.lastActivity;
         this.isActive = true;
         this.ws = null;
+        
+        // Only the secret's hash is stored, so a restarted relay can still resume the session
+        this.resumeSecretHash = null;
+        this.detachedAt = null;
+        this.clientInfo = null;        // Connection details to restore on resume
+        this.buffer = [];              // Messages for the client while detached
+        this.bufferedBytes = 0;
     }
     
     touch() {
@@ -45,6 +69,10 @@ class Session {
         return Date.now() - this.lastActivity > SESSION_CONFIG.timeout;
     }
     
+    isResumeExpired() {
+        return this.detachedAt !== null && Date.now() - this.detachedAt > SESSION_CONFIG.resumeWindow;
+    }
+    
     getInfo() {
         return {
             id: this.id.substring(0, 10) + '...',
@@ -53,23 +81,98 @@ class Session {
             createdAt: new Date(this.createdAt).toISOString(),
             lastActivity: new Date(this.lastActivity).toISOString(),
             isActive: this.isActive,
+            detached: this.detachedAt !== null,
+            scopes: this.scopes,
             expiresIn: Math.max(0, SESSION_CONFIG.timeout - (Date.now() - this.lastActivity))
         };
     }
+    
+    /**
+     * Stored form (the socket is never persisted)
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            accountId: this.accountId,
+            computerId: this.computerId,
+            attachedComputerIds: this.attachedComputerIds,
+            scopes: this.scopes,
+            scopeCeiling: this.scopeCeiling,
+            viaSecret: this.viaSecret,
+            deviceInfo: this.deviceInfo,
+            ip: this.ip,
+            createdAt: this.createdAt,
+            lastActivity: this.lastActivity,
+            resumeSecretHash: this.resumeSecretHash ? this.resumeSecretHash.toString('hex') : null
+        };
+    }
+    
+    static fromJSON(data) {
+        const session = new Session(data.id, data.accountId, data.deviceInfo, data.ip, data.computerId, data.scopes);
+        session.attachedComputerIds = data.attachedComputerIds || session.attachedComputerIds;
+        session.scopeCeiling = data.scopeCeiling || data.scopes;
+        session.viaSecret = !!data.viaSecret;
+        session.createdAt = data.createdAt;
+        session.lastActivity = data.lastActivity;
+        session.resumeSecretHash = data.resumeSecretHash ? Buffer.from(data.resumeSecretHash, 'hex') : null;
+        return session;
+    }
 }
 
+// ============================================
+// Data Stores
+// ============================================
+const sessions = storage.collection('sessions', {  // sessionId -> Session
+    serialize: session => session.toJSON(),
+    deserialize: Session.fromJSON
+});
+const userSessions = new Map(); // accountId -> Set<sessionId>
+const apiTokens = storage.collection('apiTokens');  // sha256(token) -> {id, accountId, computerId, scopes, name, sessionId, createdAt, expiresAt, lastUsed}
+
+// No socket survives a restart: stored sessions come back detached, resumable
+// for the usual window. Sessions that could never be resumed are dropped.
+sessions.forEach((session, id) => {
+    if (!session.resumeSecretHash || SESSION_CONFIG.resumeWindow <= 0 || session.isExpired()) {
+        sessions.delete(id);
+        return;
+    }
+    
+    session.isActive = false;
+    session.detachedAt = Date.now();
+    session.clientInfo = {
+        sessionId: session.id,
+        accountId: session.accountId,
+        computerId: session.computerId,
+        computerIds: new Set([session.computerId, ...session.attachedComputerIds]),
+        scopes: session.scopes,
+        viaSecret: session.viaSecret,
+        deviceInfo: session.deviceInfo
+    };
+});
+
+// Rebuild per-account index from stored sessions
+sessions.forEach(session => {
+    if (!userSessions.has(session.accountId)) {
+        userSessions.set(session.accountId, new Set());
+    }
+    userSessions.get(session.accountId).add(session.id);
+});
+
 // ============================================
 // Session Management
 // ============================================
 
 /**
  * Create new session
+ * Options: computerId (computer the session is bound to), scopes (granted permissions),
+ * scopeCeiling (most the credential allows; defaults to everything), viaSecret
  */
-function createSession(password, deviceInfo, ip, ws) {
+function createSession(accountId, deviceInfo, ip, ws, options = {}) {
+    const { computerId = null, scopes = permissions.SCOPES, scopeCeiling = permissions.SCOPES, viaSecret = false } = options;
     const sessionId = auth.generateSessionToken();
     
     // Check max sessions per user
-    const existingSessions = userSessions.get(password) || new Set();
+    const existingSessions = userSessions.get(accountId) || new Set();
     if (existingSessions.size >= SESSION_CONFIG.maxSessionsPerUser) {
         // Remove oldest session
         const oldestId = existingSessions.values().next().value;
@@ -77,20 +180,25 @@ function createSession(password, deviceInfo, ip, ws) {
     }
     
     // Create session
-    const session = new Session(sessionId, password, deviceInfo, ip);
+    const session = new Session(sessionId, accountId, deviceInfo, ip, computerId, scopes);
+    session.scopeCeiling = scopeCeiling;
+    session.viaSecret = viaSecret;
     session.ws = ws;
     
     sessions.set(sessionId, session);
     
     // Track user sessions
-    if (!userSessions.has(password)) {
-        userSessions.set(password, new Set());
+    if (!userSessions.has(accountId)) {
+        userSessions.set(accountId, new Set());
     }
-    userSessions.get(password).add(sessionId);
+    userSessions.get(accountId).add(sessionId);
     
     auth.logSecurityEvent('SESSION_CREATED', {
+        accountId,
+        computerId,
+        scopes,
         sessionId: sessionId.substring(0, 10) + '...',
-        device: deviceInfo.name,
+        device: deviceInfo?.name,
         ip
     }, ip);
     
@@ -119,6 +227,10 @@ function touchSession(sessionId) {
     const session = sessions.get(sessionId);
     if (session) {
         session.touch();
+        if (session.lastActivity - session.activitySavedAt >= SESSION_CONFIG.activitySaveInterval) {
+            session.activitySavedAt = session.lastActivity;
+            sessions.save(sessionId);
+        }
         return true;
     }
     return false;
@@ -147,15 +259,16 @@ function destroySession(sessionId, reason = 'manual') {
     // Remove from maps
     sessions.delete(sessionId);
     
-    const userSess = userSessions.get(session.password);
+    const userSess = userSessions.get(session.accountId);
     if (userSess) {
         userSess.delete(sessionId);
         if (userSess.size === 0) {
-            userSessions.delete(session.password);
+            userSessions.delete(session.accountId);
         }
     }
     
     auth.logSecurityEvent('SESSION_DESTROYED', {
+        accountId: session.accountId,
         sessionId: sessionId.substring(0, 10) + '...',
         reason
     }, session.ip);
@@ -172,22 +285,151 @@ function getExpiryMessage(reason) {
         'manual': 'You have been logged out',
         'max_sessions_exceeded': 'Logged out due to new session',
         'kicked': 'You were removed by admin',
-        'password_changed': 'Password was changed'
+        'password_changed': 'Password was changed',
+        'disconnected': 'Connection lost and not resumed in time'
     };
     return messages[reason] || 'Session ended';
 }
 
+// ============================================
+// Session Resume
+// ============================================
+
+function hashResumeSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+/**
+ * Issue a fresh one-time secret the client presents with resume_session
+ */
+function issueResumeSecret(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session || SESSION_CONFIG.resumeWindow <= 0) return null;
+    
+    const secret = 'rs_' + crypto.randomBytes(24).toString('hex');
+    session.resumeSecretHash = hashResumeSecret(secret);
+    sessions.save(sessionId);
+    return secret;
+}
+
+/**
+ * The session's socket closed without a logout: keep the session for the
+ * resume window. Returns false if it cannot be resumed.
+ */
+function detachSession(sessionId, clientInfo) {
+    const session = sessions.get(sessionId);
+    if (!session || !session.resumeSecretHash || SESSION_CONFIG.resumeWindow <= 0) return false;
+    
+    session.ws = null;
+    session.isActive = false;
+    session.detachedAt = Date.now();
+    session.clientInfo = clientInfo;
+    session.buffer = [];
+    session.bufferedBytes = 0;
+    return true;
+}
+
+/**
+ * Remember the computers a session is attached to, so a restarted relay restores them
+ */
+function setAttachedComputers(sessionId, computerIds) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    
+    session.attachedComputerIds = Array.from(computerIds);
+    sessions.save(sessionId);
+}
+
+/**
+ * Check a resume request without changing anything
+ */
+function verifyResume(sessionId, secret) {
+    const session = sessions.get(String(sessionId || ''));
+    
+    if (!session || !session.resumeSecretHash || !secret ||
+        !crypto.timingSafeEqual(hashResumeSecret(secret), session.resumeSecretHash)) {
+        return { valid: false, reason: 'Invalid session or resume secret' };
+    }
+    
+    if (session.detachedAt === null) {
+        return { valid: false, reason: 'Session is still connected' };
+    }
+    
+    if (session.isExpired() || session.isResumeExpired()) {
+        destroySession(session.id, 'expired');
+        return { valid: false, reason: 'Session can no longer be resumed' };
+    }
+    
+    return { valid: true, session };
+}
+
+/**
+ * Re-attach a verified session to a new socket.
+ * Returns the saved connection details, the messages it missed and a new resume secret.
+ */
+function attachSession(sessionId, ws) {
+    const session = sessions.get(sessionId);
+    const { clientInfo, buffer } = session;
+    
+    session.ws = ws;
+    session.isActive = true;
+    session.detachedAt = null;
+    session.clientInfo = null;
+    session.buffer = [];
+    session.bufferedBytes = 0;
+    session.touch();
+    
+    auth.logSecurityEvent('SESSION_RESUMED', {
+        accountId: session.accountId,
+        computerId: session.computerId,
+        sessionId: session.id.substring(0, 10) + '...'
+    }, ws.ip);
+    
+    return { session, clientInfo, buffered: buffer, resumeSecret: issueResumeSecret(sessionId) };
+}
+
+/**
+ * Hold a message for a detached session (oldest dropped past the limits).
+ * Returns false if the session is gone or attached.
+ */
+function bufferMessage(sessionId, message) {
+    const session = sessions.get(sessionId);
+    if (!session || session.detachedAt === null) return false;
+    
+    const text = typeof message === 'string' ? message : JSON.stringify(message);
+    session.buffer.push(text);
+    session.bufferedBytes += text.length;
+    
+    while (session.buffer.length > SESSION_CONFIG.maxBufferedMessages ||
+           session.bufferedBytes > SESSION_CONFIG.maxBufferedBytes) {
+        session.bufferedBytes -= session.buffer.shift().length;
+    }
+    return true;
+}
+
+/**
+ * An account's sessions waiting to be resumed
+ */
+function getDetachedSessions(accountId) {
+    const result = [];
+    (userSessions.get(accountId) || new Set()).forEach(id => {
+        const session = sessions.get(id);
+        if (session && session.detachedAt !== null) result.push(session);
+    });
+    return result;
+}
+
 /**
- * Get all sessions for a password
+ * Get all sessions for an account (or those on one of its computers)
  */
-function getUserSessions(password) {
-    const sessionIds = userSessions.get(password);
+function getUserSessions(accountId, computerId = null) {
+    const sessionIds = userSessions.get(accountId);
     if (!sessionIds) return [];
     
     const result = [];
     sessionIds.forEach(id => {
         const session = sessions.get(id);
-        if (session && !session.isExpired()) {
+        if (session && !session.isExpired() && (!computerId || session.computerId === computerId)) {
             result.push(session.getInfo());
         }
     });
@@ -196,15 +438,100 @@ function getUserSessions(password) {
 }
 
 /**
- * Kick a session
+ * Resolve a session of an account by full ID or by the shortened ID
+ * shown in session lists
  */
-function kickSession(sessionId, kickerInfo = {}) {
+function findAccountSessionId(accountId, sessionId) {
+    const id = String(sessionId || '');
+    const prefix = id.endsWith('...') ? id.slice(0, -3) : null;
+    const ids = Array.from(userSessions.get(accountId) || []);
+    
+    if (!prefix) {
+        return ids.includes(id) ? id : null;
+    }
+    
+    const matches = ids.filter(candidate => candidate.startsWith(prefix));
+    return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Resolve any session by full or shortened ID (relay operator only)
+ */
+function resolveSessionId(sessionId) {
+    const id = String(sessionId || '');
+    if (!id.endsWith('...')) {
+        return sessions.has(id) ? id : null;
+    }
+    
+    const prefix = id.slice(0, -3);
+    const matches = Array.from(sessions.keys()).filter(candidate => candidate.startsWith(prefix));
+    return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Kick a session belonging to an account
+ */
+function kickSession(accountId, sessionId, kickerInfo = {}) {
+    sessionId = findAccountSessionId(accountId, sessionId);
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (!session) {
+        return { success: false, error: 'Session not found' };
+    }
+    
     auth.logSecurityEvent('SESSION_KICKED', {
+        accountId,
         sessionId: sessionId.substring(0, 10) + '...',
         by: kickerInfo.name || 'Admin'
     });
     
-    return destroySession(sessionId, 'kicked');
+    return { success: destroySession(sessionId, 'kicked'), sessionId };
+}
+
+/**
+ * Change the scopes of a session belonging to an account. The result is capped
+ * by both the caller's own scopes and what the target session's credential allows.
+ */
+function setSessionScopes(accountId, sessionId, scopes, callerScopes, changedBy = {}) {
+    sessionId = findAccountSessionId(accountId, sessionId);
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (!session) {
+        return { success: false, error: 'Session not found' };
+    }
+    
+    session.scopes = permissions.grantScopes(scopes, permissions.grantScopes(callerScopes, session.scopeCeiling));
+    sessions.save(sessionId);
+    
+    auth.logSecurityEvent('SESSION_SCOPES_CHANGED', {
+        accountId,
+        sessionId: sessionId.substring(0, 10) + '...',
+        scopes: session.scopes,
+        by: changedBy.name || 'Admin'
+    });
+    
+    return { success: true, scopes: session.scopes, sessionId };
+}
+
+/**
+ * Destroy every session opened with a computer's pairing secret
+ */
+function destroyComputerSessions(computerId, reason) {
+    let destroyed = 0;
+    
+    sessions.forEach((session, id) => {
+        if (session.viaSecret && session.computerId === computerId) {
+            destroySession(id, reason);
+            destroyed++;
+        }
+    });
+    
+    // API tokens derived from those sessions go with them
+    apiTokens.forEach((token, key) => {
+        if (token.computerOnly && token.computerId === computerId) {
+            apiTokens.delete(key);
+        }
+    });
+    
+    return destroyed;
 }
 
 /**
@@ -220,6 +547,108 @@ function validateSession(sessionId) {
     return { valid: true, session };
 }
 
+// ============================================
+// API Tokens
+// ============================================
+
+/**
+ * Hash an API token for storage (tokens are never stored in plain)
+ */
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a bearer token for the REST API from a live session.
+ * The token carries the session's account, computer and (at most) its scopes,
+ * and outlives the session's socket.
+ */
+function createApiToken(sessionId, options = {}) {
+    const session = getSession(sessionId);
+    if (!session) {
+        return { success: false, error: 'Session not found or expired' };
+    }
+    
+    const token = 'yat_' + crypto.randomBytes(32).toString('hex');
+    const record = {
+        id: 'tok_' + crypto.randomBytes(8).toString('hex'),
+        accountId: session.accountId,
+        computerId: session.computerId,
+        computerOnly: !!options.computerOnly,  // Paired by secret: sees only its computer
+        scopes: permissions.grantScopes(options.scopes, session.scopes),
+        name: options.name || session.deviceInfo?.name || 'API token',
+        sessionId: sessionId.substring(0, 10) + '...',
+        createdAt: Date.now(),
+        expiresAt: Date.now() + SESSION_CONFIG.apiTokenLifetime,
+        lastUsed: null
+    };
+    
+    apiTokens.set(hashApiToken(token), record);
+    
+    auth.logSecurityEvent('API_TOKEN_CREATED', {
+        accountId: record.accountId,
+        tokenId: record.id,
+        scopes: record.scopes,
+        sessionId: record.sessionId
+    }, session.ip);
+    
+    return {
+        success: true,
+        token,
+        tokenId: record.id,
+        scopes: record.scopes,
+        expiresAt: new Date(record.expiresAt).toISOString()
+    };
+}
+
+/**
+ * Validate a bearer token
+ */
+function validateApiToken(token) {
+    const key = hashApiToken(token);
+    const record = token ? apiTokens.get(key) : null;
+    
+    if (!record) {
+        return { valid: false, reason: 'Invalid API token' };
+    }
+    
+    if (Date.now() > record.expiresAt) {
+        apiTokens.delete(key);
+        return { valid: false, reason: 'API token expired' };
+    }
+    
+    record.lastUsed = Date.now();
+    return { valid: true, token: record };
+}
+
+/**
+ * Revoke a bearer token
+ */
+function revokeApiToken(token) {
+    const key = hashApiToken(token);
+    const record = apiTokens.get(key);
+    if (!record) return false;
+    
+    apiTokens.delete(key);
+    auth.logSecurityEvent('API_TOKEN_REVOKED', { accountId: record.accountId, tokenId: record.id });
+    return true;
+}
+
+/**
+ * Public view of a token record
+ */
+function getApiTokenInfo(record) {
+    return {
+        id: record.id,
+        accountId: record.accountId,
+        computerId: record.computerId,
+        scopes: record.scopes,
+        name: record.name,
+        createdAt: new Date(record.createdAt).toISOString(),
+        expiresAt: new Date(record.expiresAt).toISOString()
+    };
+}
+
 // ============================================
 // Cleanup & Monitoring
 // ============================================
@@ -234,11 +663,20 @@ function cleanupExpiredSessions() {
         if (session.isExpired()) {
             destroySession(id, 'expired');
             cleaned++;
+        } else if (session.isResumeExpired()) {
+            destroySession(id, 'disconnected');
+            cleaned++;
+        }
+    });
+    
+    apiTokens.forEach((token, key) => {
+        if (Date.now() > token.expiresAt) {
+            apiTokens.delete(key);
         }
     });
     
     if (cleaned > 0) {
-        console.log(`[SESSIONS] Cleaned up ${cleaned} expired sessions`);
+        log.info('Expired sessions cleaned up', { count: cleaned });
     }
     
     return cleaned;
@@ -250,12 +688,14 @@ function cleanupExpiredSessions() {
 function getSessionStats() {
     let active = 0;
     let expired = 0;
+    let detached = 0;
     
     sessions.forEach(session => {
         if (session.isExpired()) {
             expired++;
         } else {
             active++;
+            if (session.detachedAt !== null) detached++;
         }
     });
     
@@ -263,6 +703,7 @@ function getSessionStats() {
         total: sessions.size,
         active,
         expired,
+        detached,
         uniqueUsers: userSessions.size
     };
 }
@@ -274,7 +715,7 @@ function getAllSessions() {
     const result = [];
     sessions.forEach((session, id) => {
         if (!session.isExpired()) {
-            result.push(session.getInfo());
+            result.push({ ...session.getInfo(), accountId: session.accountId, computerId: session.computerId });
         }
     });
     return result;
@@ -296,7 +737,21 @@ module.exports = {
     destroySession,
     getUserSessions,
     kickSession,
+    resolveSessionId,
+    setSessionScopes,
+    destroyComputerSessions,
     validateSession,
+    issueResumeSecret,
+    detachSession,
+    setAttachedComputers,
+    verifyResume,
+    attachSession,
+    bufferMessage,
+    getDetachedSessions,
+    createApiToken,
+    validateApiToken,
+    revokeApiToken,
+    getApiTokenInfo,
     cleanupExpiredSessions,
     getSessionStats,
     getAllSessions
@@ -0,0 +1,401 @@
+/**
+ * YAS Remote Pro - Storage Module
+ * Version: 3.3
+ * Features: Pluggable backends (memory, file), Journaled writes, Migrations, Compaction
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const log = logger.createLogger('storage');
+
+// ============================================
+// Configuration
+// ============================================
+const STORAGE_CONFIG = {
+    backend: process.env.STORAGE_BACKEND || 'file',                      // 'file' or 'memory'
+    dataDir: process.env.STORAGE_DIR || path.join(__dirname, 'data'),
+    compactionInterval: 10 * 60 * 1000,                                  // Compact every 10 minutes
+    maxJournalEntries: 5000                                              // Compact early past this many writes
+};
+
+// ============================================
+// Migrations
+// ============================================
+// Each entry upgrades stored data from (version - 1) to version.
+// Migrations receive the backend and run before any collection is loaded.
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Initial schema',
+        up: () => {}
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// ============================================
+// Backends
+// ============================================
+
+/**
+ * In-memory backend: nothing survives a restart (previous behaviour)
+ */
+class MemoryBackend {
+    constructor() {
+        this.name = 'memory';
+        this.data = new Map();   // collection -> entries
+        this.meta = { schemaVersion: SCHEMA_VERSION };
+    }
+    
+    readMeta() {
+        return this.meta;
+    }
+    
+    writeMeta(meta) {
+        this.meta = meta;
+    }
+    
+    load(collection) {
+        return this.data.get(collection) || [];
+    }
+    
+    append() {}
+    
+    compact(collection, entries) {
+        this.data.set(collection, entries);
+    }
+}
+
+/**
+ * File backend: one snapshot plus an append-only journal per collection.
+ * Writes are appended to the journal; compaction rewrites the snapshot
+ * atomically and truncates the journal.
+ */
+class FileBackend {
+    constructor(dataDir) {
+        this.name = 'file';
+        this.dataDir = dataDir;
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+    
+    filePath(name) {
+        return path.join(this.dataDir, name);
+    }
+    
+    readJson(name, fallback) {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath(name), 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                log.error('Failed to read file', { file: name, error: e.message });
+            }
+            return fallback;
+        }
+    }
+    
+    writeJsonAtomic(name, value) {
+        const target = this.filePath(name);
+        const tmp = target + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(value));
+        fs.renameSync(tmp, target);
+    }
+    
+    readMeta() {
+        return this.readJson('meta.json', null);
+    }
+    
+    writeMeta(meta) {
+        this.writeJsonAtomic('meta.json', meta);
+    }
+    
+    load(collection, kind) {
+        const snapshot = this.readJson(`${collection}.json`, []);
+        const state = kind === 'map' ? new Map(snapshot) : snapshot;
+        
+        // Replay journal on top of the snapshot
+        let journal = '';
+        try {
+            journal = fs.readFileSync(this.filePath(`${collection}.journal`), 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                log.error('Failed to read journal', { collection, error: e.message });
+            }
+        }
+        
+        journal.split('\n').forEach(line => {
+            if (!line) return;
+            try {
+                applyOperation(state, JSON.parse(line));
+            } catch (e) {
+                // A torn last line after a crash is expected; skip it
+                log.warn('Skipping corrupt journal entry', { collection });
+            }
+        });
+        
+        return kind === 'map' ? Array.from(state) : state;
+    }
+    
+    append(collection, operation) {
+        try {
+            fs.appendFileSync(this.filePath(`${collection}.journal`), JSON.stringify(operation) + '\n');
+        } catch (e) {
+            log.error('Failed to write journal', { collection, error: e.message });
+        }
+    }
+    
+    compact(collection, entries) {
+        try {
+            this.writeJsonAtomic(`${collection}.json`, entries);
+            fs.writeFileSync(this.filePath(`${collection}.journal`), '');
+        } catch (e) {
+            log.error('Failed to compact collection', { collection, error: e.message });
+        }
+    }
+}
+
+/**
+ * Apply a journal operation during replay.
+ * Map collections replay into a Map; list collections into an array.
+ */
+function applyOperation(state, op) {
+    switch (op.op) {
+        case 'set':
+            state.set(op.key, op.value);
+            break;
+        case 'delete':
+            state.delete(op.key);
+            break;
+        case 'unshift':
+            state.unshift(op.value);
+            break;
+        case 'push':
+            state.push(op.value);
+            break;
+        case 'trim':
+            state.length = Math.min(state.length, op.length);
+            break;
+        case 'clear':
+            if (state instanceof Map) {
+                state.clear();
+            } else {
+                state.length = 0;
+            }
+            break;
+    }
+}
+
+// ============================================
+// Backend Selection & Startup Migration
+// ============================================
+let backend = null;
+const collections = new Map();  // name -> PersistentMap | PersistentList
+
+function getBackend() {
+    if (backend) return backend;
+    
+    backend = STORAGE_CONFIG.backend === 'memory'
+        ? new MemoryBackend()
+        : new FileBackend(STORAGE_CONFIG.dataDir);
+    
+    migrate(backend);
+    
+    log.info('Storage ready', { backend: backend.name, schemaVersion: SCHEMA_VERSION });
+    return backend;
+}
+
+/**
+ * Run pending migrations
+ */
+function migrate(target) {
+    const meta = target.readMeta() || { schemaVersion: 0 };
+    
+    if (meta.schemaVersion > SCHEMA_VERSION) {
+        throw new Error(`Storage schema v${meta.schemaVersion} is newer than supported v${SCHEMA_VERSION}`);
+    }
+    
+    MIGRATIONS
+        .filter(m => m.version > meta.schemaVersion)
+        .forEach(m => {
+            log.info('Migrating storage', { version: m.version, description: m.description });
+            m.up(target);
+            meta.schemaVersion = m.version;
+            meta.migratedAt = new Date().toISOString();
+            target.writeMeta(meta);
+        });
+}
+
+// ============================================
+// Persistent Collections
+// ============================================
+
+/**
+ * Map that journals every write.
+ * Values mutated in place are saved on the next compaction, or
+ * immediately with save(key).
+ */
+class PersistentMap extends Map {
+    constructor(name, options = {}) {
+        super();
+        this.name = name;
+        this.serialize = options.serialize || (value => value);
+        this.journalSize = 0;
+        
+        const deserialize = options.deserialize || (value => value);
+        getBackend().load(name, 'map').forEach(([key, value]) => {
+            super.set(key, deserialize(value));
+        });
+    }
+    
+    set(key, value) {
+        super.set(key, value);
+        this.write({ op: 'set', key, value: this.serialize(value) });
+        return this;
+    }
+    
+    delete(key) {
+        const existed = super.delete(key);
+        if (existed) {
+            this.write({ op: 'delete', key });
+        }
+        return existed;
+    }
+    
+    clear() {
+        super.clear();
+        this.write({ op: 'clear' });
+    }
+    
+    save(key) {
+        if (this.has(key)) {
+            this.write({ op: 'set', key, value: this.serialize(this.get(key)) });
+        }
+    }
+    
+    write(operation) {
+        getBackend().append(this.name, operation);
+        if (++this.journalSize >= STORAGE_CONFIG.maxJournalEntries) {
+            this.compact();
+        }
+    }
+    
+    compact() {
+        const entries = [];
+        this.forEach((value, key) => entries.push([key, this.serialize(value)]));
+        getBackend().compact(this.name, entries);
+        this.journalSize = 0;
+    }
+}
+
+/**
+ * Array that journals unshift, push and pop.
+ * Used for append-mostly logs; derived arrays (slice, filter) are plain arrays.
+ */
+class PersistentList extends Array {
+    static get [Symbol.species]() {
+        return Array;
+    }
+    
+    static create(name) {
+        const list = new PersistentList();
+        Object.defineProperty(list, 'name', { value: name });
+        Object.defineProperty(list, 'journalSize', { value: 0, writable: true });
+        Array.prototype.push.apply(list, getBackend().load(name, 'list'));
+        return list;
+    }
+    
+    unshift(...values) {
+        values.slice().reverse().forEach(value => this.write({ op: 'unshift', value }));
+        return super.unshift(...values);
+    }
+    
+    push(...values) {
+        values.forEach(value => this.write({ op: 'push', value }));
+        return super.push(...values);
+    }
+    
+    pop() {
+        const value = super.pop();
+        this.write({ op: 'trim', length: this.length });
+        return value;
+    }
+    
+    truncate(length) {
+        if (this.length > length) {
+            this.length = length;
+            this.write({ op: 'trim', length });
+        }
+    }
+    
+    write(operation) {
+        getBackend().append(this.name, operation);
+        if (++this.journalSize >= STORAGE_CONFIG.maxJournalEntries) {
+            this.compact();
+        }
+    }
+    
+    compact() {
+        getBackend().compact(this.name, Array.from(this));
+        this.journalSize = 0;
+    }
+}
+
+/**
+ * Get (or create) a persistent map collection
+ */
+function collection(name, options) {
+    if (!collections.has(name)) {
+        collections.set(name, new PersistentMap(name, options));
+    }
+    return collections.get(name);
+}
+
+/**
+ * Get (or create) a persistent list collection
+ */
+function list(name) {
+    if (!collections.has(name)) {
+        collections.set(name, PersistentList.create(name));
+    }
+    return collections.get(name);
+}
+
+/**
+ * Compact every open collection
+ */
+function compactAll() {
+    collections.forEach(c => c.compact());
+}
+
+/**
+ * Storage statistics
+ */
+function getStorageStats() {
+    const stats = {
+        backend: getBackend().name,
+        schemaVersion: SCHEMA_VERSION,
+        collections: {}
+    };
+    collections.forEach((c, name) => {
+        stats.collections[name] = { entries: c instanceof Map ? c.size : c.length, pendingWrites: c.journalSize };
+    });
+    return stats;
+}
+
+// ============================================
+// Start Compaction Interval
+// ============================================
+setInterval(compactAll, STORAGE_CONFIG.compactionInterval);
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    STORAGE_CONFIG,
+    SCHEMA_VERSION,
+    collection,
+    list,
+    compactAll,
+    getStorageStats
+};
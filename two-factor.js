@@ -0,0 +1,352 @@
+/**
+ * YAS Remote Pro - Two-Factor Authentication Module
+ * Version: 3.3
+ * Features: TOTP (RFC 6238) enrollment per account or computer, Recovery codes, Login challenges
+ */
+
+const crypto = require('crypto');
+const auth = require('./auth');
+const storage = require('./storage');
+
+// ============================================
+// Configuration
+// ============================================
+const TWO_FACTOR_CONFIG = {
+    issuer: 'YAS Remote',
+    digits: 6,
+    period: 30,                         // Seconds per code
+    window: 1,                          // Accept codes one step either side (clock drift)
+    secretLength: 20,                   // Bytes (160-bit, as recommended for SHA-1)
+    recoveryCodeCount: 10,
+    challengeTimeout: 5 * 60 * 1000     // 5 minutes to enter the code
+};
+
+// ============================================
+// Data Stores
+// ============================================
+const enrollments = storage.collection('twoFactor');  // accountId | computerId -> {accountId, secret, enabled, enabledAt, lastUsedStep, recoveryCodes, createdAt}
+const challenges = new Map();                          // challengeId -> {subjectId, expiresAt, ...login state}
+
+// ============================================
+// TOTP
+// ============================================
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) continue;
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    
+    return Buffer.from(bytes);
+}
+
+/**
+ * HOTP value for a time step (RFC 4226 dynamic truncation)
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    
+    return String(binary % 10 ** TWO_FACTOR_CONFIG.digits).padStart(TWO_FACTOR_CONFIG.digits, '0');
+}
+
+function currentStep() {
+    return Math.floor(Date.now() / 1000 / TWO_FACTOR_CONFIG.period);
+}
+
+/**
+ * Find the time step a code belongs to, within the drift window
+ */
+function matchStep(secret, code) {
+    const now = currentStep();
+    for (let step = now - TWO_FACTOR_CONFIG.window; step <= now + TWO_FACTOR_CONFIG.window; step++) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// ============================================
+// Recovery Codes
+// ============================================
+
+/**
+ * Recovery codes carry 80 random bits, so a plain SHA-256 is enough to store them
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z2-7]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < TWO_FACTOR_CONFIG.recoveryCodeCount; i++) {
+        const raw = base32Encode(crypto.randomBytes(10));
+        codes.push(raw.match(/.{4}/g).join('-'));
+    }
+    return codes;
+}
+
+// ============================================
+// Enrollment
+// ============================================
+
+/**
+ * Check if a subject (account or computer) requires a second factor
+ */
+function isEnabled(subjectId) {
+    return !!enrollments.get(subjectId)?.enabled;
+}
+
+/**
+ * Enrollment state, never including the secret
+ */
+function getStatus(subjectId) {
+    const record = enrollments.get(subjectId);
+    return {
+        enabled: !!record?.enabled,
+        pending: !!record && !record.enabled,
+        enabledAt: record?.enabledAt ? new Date(record.enabledAt).toISOString() : null,
+        recoveryCodesLeft: record?.enabled ? record.recoveryCodes.length : 0
+    };
+}
+
+/**
+ * Start enrollment: issue a secret the user adds to an authenticator app
+ */
+function beginEnrollment(subjectId, accountId, label) {
+    if (isEnabled(subjectId)) {
+        return { success: false, error: 'Two-factor authentication is already enabled' };
+    }
+    
+    const secret = base32Encode(crypto.randomBytes(TWO_FACTOR_CONFIG.secretLength));
+    enrollments.set(subjectId, {
+        accountId,
+        secret,
+        enabled: false,
+        enabledAt: null,
+        lastUsedStep: null,
+        recoveryCodes: [],
+        createdAt: Date.now()
+    });
+    
+    const { issuer, digits, period } = TWO_FACTOR_CONFIG;
+    const name = encodeURIComponent(`${issuer}:${label}`);
+    const otpauthUrl = `otpauth://totp/${name}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${digits}&period=${period}`;
+    
+    return { success: true, secret, otpauthUrl };
+}
+
+/**
+ * Finish enrollment with a first valid code; returns the recovery codes
+ * (shown once, only their hashes are kept)
+ */
+function confirmEnrollment(subjectId, code) {
+    const record = enrollments.get(subjectId);
+    if (!record || record.enabled) {
+        return { success: false, error: 'No enrollment in progress' };
+    }
+    
+    const step = /^\d+$/.test(String(code)) && String(code).length === TWO_FACTOR_CONFIG.digits
+        ? matchStep(record.secret, String(code))
+        : null;
+    if (step === null) {
+        return { success: false, error: 'Invalid verification code' };
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    record.enabled = true;
+    record.enabledAt = Date.now();
+    record.lastUsedStep = step;
+    record.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    enrollments.save(subjectId);
+    
+    auth.logSecurityEvent('TWO_FACTOR_ENABLED', { accountId: record.accountId, subjectId });
+    
+    return { success: true, recoveryCodes };
+}
+
+/**
+ * Turn off the second factor (requires a current code or a recovery code)
+ */
+function disable(subjectId, code) {
+    const check = verifyCode(subjectId, code);
+    if (!check.valid) {
+        return { success: false, error: check.reason };
+    }
+    
+    const { accountId } = enrollments.get(subjectId);
+    enrollments.delete(subjectId);
+    auth.logSecurityEvent('TWO_FACTOR_DISABLED', { accountId, subjectId });
+    
+    return { success: true };
+}
+
+/**
+ * Replace all recovery codes (requires a current code)
+ */
+function regenerateRecoveryCodes(subjectId, code) {
+    const check = verifyCode(subjectId, code);
+    if (!check.valid) {
+        return { success: false, error: check.reason };
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    const record = enrollments.get(subjectId);
+    record.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    enrollments.save(subjectId);
+    
+    auth.logSecurityEvent('RECOVERY_CODES_REGENERATED', { accountId: record.accountId, subjectId });
+    
+    return { success: true, recoveryCodes };
+}
+
+/**
+ * Verify a TOTP code or a single-use recovery code.
+ * A TOTP code is accepted once; replaying it (or an older one) fails.
+ */
+function verifyCode(subjectId, code) {
+    const record = enrollments.get(subjectId);
+    if (!record?.enabled) {
+        return { valid: false, reason: 'Two-factor authentication is not enabled' };
+    }
+    
+    const input = String(code || '').trim();
+    
+    if (/^\d+$/.test(input) && input.length === TWO_FACTOR_CONFIG.digits) {
+        const step = matchStep(record.secret, input);
+        if (step === null || (record.lastUsedStep !== null && step <= record.lastUsedStep)) {
+            return { valid: false, reason: 'Invalid verification code' };
+        }
+        
+        record.lastUsedStep = step;
+        enrollments.save(subjectId);
+        return { valid: true, method: 'totp' };
+    }
+    
+    const index = record.recoveryCodes.indexOf(hashRecoveryCode(input));
+    if (input && index !== -1) {
+        record.recoveryCodes.splice(index, 1);
+        enrollments.save(subjectId);
+        
+        auth.logSecurityEvent('RECOVERY_CODE_USED', { accountId: record.accountId, subjectId, remaining: record.recoveryCodes.length });
+        return { valid: true, method: 'recovery_code', recoveryCodesLeft: record.recoveryCodes.length };
+    }
+    
+    return { valid: false, reason: 'Invalid verification code' };
+}
+
+// ============================================
+// Login Challenges
+// ============================================
+
+/**
+ * Park a half-finished login until the second factor arrives
+ */
+function createChallenge(subjectId, state) {
+    const challengeId = 'mfa_' + crypto.randomBytes(16).toString('hex');
+    challenges.set(challengeId, {
+        ...state,
+        subjectId,
+        expiresAt: Date.now() + TWO_FACTOR_CONFIG.challengeTimeout
+    });
+    return challengeId;
+}
+
+/**
+ * Get a pending challenge, or null if unknown or expired
+ */
+function getChallenge(challengeId) {
+    const challenge = challenges.get(challengeId);
+    if (!challenge) return null;
+    
+    if (Date.now() > challenge.expiresAt) {
+        challenges.delete(challengeId);
+        return null;
+    }
+    
+    return challenge;
+}
+
+function consumeChallenge(challengeId) {
+    challenges.delete(challengeId);
+}
+
+/**
+ * Drop expired challenges
+ */
+function cleanupChallenges() {
+    challenges.forEach((challenge, id) => {
+        if (Date.now() > challenge.expiresAt) {
+            challenges.delete(id);
+        }
+    });
+}
+
+// ============================================
+// Start Cleanup Interval
+// ============================================
+setInterval(cleanupChallenges, TWO_FACTOR_CONFIG.challengeTimeout);
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    TWO_FACTOR_CONFIG,
+    
+    // Enrollment
+    isEnabled,
+    getStatus,
+    beginEnrollment,
+    confirmEnrollment,
+    disable,
+    regenerateRecoveryCodes,
+    verifyCode,
+    
+    // Login challenges
+    createChallenge,
+    getChallenge,
+    consumeChallenge,
+    
+    // Helpers
+    generateCode
+};
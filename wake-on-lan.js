@@ -0,0 +1,314 @@
+/**
+ * YAS Remote Pro - Wake-on-LAN Module
+ * Version: 3.3
+ * Features: Magic packets, SecureOn passwords, MAC validation, Wake targets reported by computers,
+ *           Wake-and-wait with progress, Sending through agent computers
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+
+// ============================================
+// Configuration
+// ============================================
+const WAKE_CONFIG = {
+    defaultPort: 9,
+    defaultBroadcast: '255.255.255.255',
+    
+    // How long a wake waits for the computer to register (WAKE_TIMEOUT_SECONDS)
+    waitTimeout: Math.max(1, parseInt(process.env.WAKE_TIMEOUT_SECONDS ?? '180', 10) || 180) * 1000,
+    progressInterval: 5 * 1000,
+    resendInterval: 30 * 1000,      // Packets get lost; keep knocking while we wait
+    maxWaitersPerComputer: 20,
+    maxAgentsPerWake: 3
+};
+
+// Computers that can broadcast magic packets on their LAN for the relay
+const AGENT_CAPABILITY = 'wol-agent';
+
+// ============================================
+// Data Stores
+// ============================================
+// computerId -> {computerId, target, startedAt, packetsSent, waiters, timer, progressTimer, handlers}
+const pendingWakes = new Map();
+
+// ============================================
+// Wake Targets
+// ============================================
+
+const MAC_FORMATS = [
+    /^([0-9a-f]{2}):([0-9a-f]{2}):([0-9a-f]{2}):([0-9a-f]{2}):([0-9a-f]{2}):([0-9a-f]{2})$/,   // aa:bb:cc:dd:ee:ff
+    /^([0-9a-f]{2})-([0-9a-f]{2})-([0-9a-f]{2})-([0-9a-f]{2})-([0-9a-f]{2})-([0-9a-f]{2})$/,   // aa-bb-cc-dd-ee-ff
+    /^([0-9a-f]{4})\.([0-9a-f]{4})\.([0-9a-f]{4})$/,                                          // aabb.ccdd.eeff
+    /^([0-9a-f]{12})$/                                                                       // aabbccddeeff
+];
+
+/**
+ * Parse six bytes written the ways MAC addresses usually are.
+ * Returns the canonical "aa:bb:cc:dd:ee:ff" form, or null.
+ */
+function parseSixBytes(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    for (const format of MAC_FORMATS) {
+        const match = format.exec(text);
+        if (match) return match.slice(1).join('').match(/../g).join(':');
+    }
+    return null;
+}
+
+/**
+ * Check a MAC address, saying what is wrong with it
+ */
+function validateMac(mac) {
+    if (mac === undefined || mac === null || String(mac).trim() === '') {
+        return { valid: false, reason: 'MAC address is required' };
+    }
+    
+    const normalized = parseSixBytes(mac);
+    if (!normalized) {
+        return { valid: false, reason: `Invalid MAC address "${String(mac).substring(0, 40)}": use six hex pairs like aa:bb:cc:dd:ee:ff` };
+    }
+    if (normalized === '00:00:00:00:00:00') {
+        return { valid: false, reason: 'MAC address cannot be all zeros' };
+    }
+    if (normalized === 'ff:ff:ff:ff:ff:ff') {
+        return { valid: false, reason: 'MAC address cannot be the broadcast address' };
+    }
+    if (parseInt(normalized.substring(0, 2), 16) & 1) {
+        return { valid: false, reason: 'MAC address is a multicast address, not a network card' };
+    }
+    
+    return { valid: true, mac: normalized };
+}
+
+/**
+ * Canonical "aa:bb:cc:dd:ee:ff" form of a valid MAC address, or null
+ */
+function normalizeMac(mac) {
+    const check = validateMac(mac);
+    return check.valid ? check.mac : null;
+}
+
+/**
+ * Validate what a computer reports about how to wake it.
+ * secureOn is the optional 6-byte password some network cards require.
+ */
+function validateWakeTarget({ mac, broadcastIp, port, secureOn } = {}) {
+    const macCheck = validateMac(mac);
+    if (!macCheck.valid) {
+        return macCheck;
+    }
+    
+    let password = null;
+    if (secureOn !== undefined && secureOn !== null && secureOn !== '') {
+        password = parseSixBytes(secureOn);
+        if (!password) {
+            return { valid: false, reason: 'SecureOn password must be six hex pairs like 01:23:45:67:89:ab' };
+        }
+    }
+    
+    const address = broadcastIp || WAKE_CONFIG.defaultBroadcast;
+    if (!net.isIPv4(address)) {
+        return { valid: false, reason: 'Broadcast address must be IPv4' };
+    }
+    
+    const targetPort = port === undefined || port === null ? WAKE_CONFIG.defaultPort : Number(port);
+    if (!Number.isInteger(targetPort) || targetPort < 1 || targetPort > 65535) {
+        return { valid: false, reason: 'Invalid port' };
+    }
+    
+    const target = { mac: macCheck.mac, broadcastIp: address, port: targetPort };
+    if (password) target.secureOn = password;
+    return { valid: true, target };
+}
+
+// ============================================
+// Magic Packets
+// ============================================
+
+/**
+ * Create Magic Packet for Wake on LAN
+ * Format: 6 bytes of 0xFF followed by MAC address repeated 16 times,
+ * then the 6-byte SecureOn password if the card wants one
+ */
+function createMagicPacket(mac, secureOn = null) {
+    const check = validateMac(mac);
+    if (!check.valid) {
+        throw new Error(check.reason);
+    }
+    const macBytes = Buffer.from(check.mac.replace(/:/g, ''), 'hex');
+    
+    let passwordBytes = null;
+    if (secureOn) {
+        const password = parseSixBytes(secureOn);
+        if (!password) {
+            throw new Error('Invalid SecureOn password');
+        }
+        passwordBytes = Buffer.from(password.replace(/:/g, ''), 'hex');
+    }
+    
+    const packet = Buffer.alloc(6 + 16 * 6 + (passwordBytes ? 6 : 0), 0xFF);
+    for (let i = 0; i < 16; i++) {
+        macBytes.copy(packet, 6 + i * 6);
+    }
+    if (passwordBytes) passwordBytes.copy(packet, 6 + 16 * 6);
+    return packet;
+}
+
+/**
+ * Broadcast a magic packet; callback(err) once sent
+ */
+function sendMagicPacket(target, callback) {
+    let packet;
+    try {
+        packet = createMagicPacket(target.mac, target.secureOn);
+    } catch (e) {
+        callback(e);
+        return;
+    }
+    
+    const socket = dgram.createSocket('udp4');
+    let done = false;
+    const finish = (err) => {
+        if (done) return;
+        done = true;
+        socket.close();
+        callback(err || null);
+    };
+    
+    socket.on('error', finish);
+    socket.bind(() => {
+        socket.setBroadcast(true);
+        socket.send(packet, 0, packet.length, target.port, target.broadcastIp, finish);
+    });
+}
+
+// ============================================
+// Wake and Wait
+// ============================================
+
+function stopWake(wake) {
+    clearTimeout(wake.timer);
+    clearInterval(wake.progressTimer);
+    pendingWakes.delete(wake.computerId);
+    return wake;
+}
+
+/**
+ * Wake a computer and wait for it to register.
+ * Waiters (keyed by anything, e.g. a socket) share one wake per computer;
+ * handlers: onProgress(wake), onTimeout(wake), onSendFailed(wake, err),
+ * and optionally send(wake, callback) to deliver packets some other way.
+ */
+function startWake(computerId, target, key, waiter, handlers) {
+    const existing = pendingWakes.get(computerId);
+    if (existing) {
+        if (!existing.waiters.has(key) && existing.waiters.size >= WAKE_CONFIG.maxWaitersPerComputer) {
+            return { success: false, error: 'Too many clients waiting for this computer' };
+        }
+        existing.waiters.set(key, waiter);
+        return { success: true, wake: existing, joined: true };
+    }
+    
+    const wake = {
+        computerId,
+        target,
+        startedAt: Date.now(),
+        packetsSent: 0,
+        waiters: new Map([[key, waiter]]),
+        timer: null,
+        progressTimer: null,
+        handlers
+    };
+    
+    const send = handlers.send || ((w, callback) => sendMagicPacket(w.target, callback));
+    const knock = () => send(wake, (err) => {
+        if (pendingWakes.get(computerId) !== wake) return;
+        if (!err) {
+            wake.packetsSent++;
+        } else if (wake.packetsSent === 0) {
+            handlers.onSendFailed(stopWake(wake), err);
+        }
+    });
+    
+    let lastSent = wake.startedAt;
+    wake.progressTimer = setInterval(() => {
+        if (Date.now() - lastSent >= WAKE_CONFIG.resendInterval) {
+            lastSent = Date.now();
+            knock();
+        }
+        handlers.onProgress(wake);
+    }, WAKE_CONFIG.progressInterval);
+    
+    wake.timer = setTimeout(() => {
+        if (pendingWakes.get(computerId) !== wake) return;
+        handlers.onTimeout(stopWake(wake));
+    }, WAKE_CONFIG.waitTimeout);
+    
+    pendingWakes.set(computerId, wake);
+    knock();
+    return { success: true, wake, joined: false };
+}
+
+/**
+ * The computer registered: end its wake and hand back the waiters
+ */
+function completeWake(computerId) {
+    const wake = pendingWakes.get(computerId);
+    return wake ? stopWake(wake) : null;
+}
+
+/**
+ * One waiter gives up; the wake ends when nobody is left waiting
+ */
+function removeWaiter(computerId, key) {
+    const wake = pendingWakes.get(computerId);
+    if (!wake || !wake.waiters.delete(key)) return false;
+    if (wake.waiters.size === 0) stopWake(wake);
+    return true;
+}
+
+/**
+ * Forget a waiter everywhere (its connection closed)
+ */
+function dropWaiter(key) {
+    Array.from(pendingWakes.keys()).forEach(computerId => removeWaiter(computerId, key));
+}
+
+/**
+ * Progress numbers sent to waiters
+ */
+function getWakeProgress(wake) {
+    const elapsed = Date.now() - wake.startedAt;
+    return {
+        computerId: wake.computerId,
+        elapsed,
+        remaining: Math.max(0, WAKE_CONFIG.waitTimeout - elapsed),
+        packetsSent: wake.packetsSent
+    };
+}
+
+function getPendingCount() {
+    return pendingWakes.size;
+}
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    WAKE_CONFIG,
+    AGENT_CAPABILITY,
+    validateMac,
+    normalizeMac,
+    validateWakeTarget,
+    createMagicPacket,
+    sendMagicPacket,
+    
+    // Wake and wait
+    startWake,
+    completeWake,
+    removeWaiter,
+    dropWaiter,
+    getWakeProgress,
+    getPendingCount
+};
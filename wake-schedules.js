@@ -0,0 +1,256 @@
+/**
+ * YAS Remote Pro - Wake Schedules Module
+ * Version: 3.3
+ * Features: Cron-like wake schedules per computer (UTC), Persisted across restarts
+ */
+
+const crypto = require('crypto');
+const auth = require('./auth');
+const storage = require('./storage');
+
+// ============================================
+// Configuration
+// ============================================
+const SCHEDULE_CONFIG = {
+    maxSchedulesPerAccount: 20,
+    maxNameLength: 64,
+    checkInterval: 30 * 1000,
+    
+    // Shorthands accepted in place of five fields
+    aliases: {
+        '@hourly': '0 * * * *',
+        '@daily': '0 0 * * *',
+        '@weekdays': '0 0 * * 1-5',
+        '@weekly': '0 0 * * 0',
+        '@monthly': '0 0 1 * *'
+    }
+};
+
+// minute hour day-of-month month day-of-week, as in crontab(5)
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }   // 0 and 7 are both Sunday
+];
+
+// ============================================
+// Data Stores
+// ============================================
+// scheduleId -> {id, accountId, computerId, cron, name, createdAt, lastRunAt, nextRunAt}
+const schedules = storage.collection('wake_schedules');
+
+// ============================================
+// Cron Expressions
+// ============================================
+
+/**
+ * Parse one field ("*", "5", "1-5", "*\/15", "0-30/10", "1,15") into a set of values
+ */
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    
+    for (const part of text.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            return { valid: false, reason: `Invalid ${name} "${part}"` };
+        }
+        
+        const [, , from, to, step] = match;
+        const start = from === undefined ? min : Number(from);
+        const end = from === undefined ? max : to === undefined ? (step ? max : start) : Number(to);
+        const increment = step === undefined ? 1 : Number(step);
+        
+        if (start < min || end > max || start > end) {
+            return { valid: false, reason: `${name} must be between ${min} and ${max}` };
+        }
+        if (increment < 1) {
+            return { valid: false, reason: `Invalid ${name} step "${step}"` };
+        }
+        
+        for (let value = start; value <= end; value += increment) {
+            values.add(value);
+        }
+    }
+    
+    return { valid: true, values, any: text === '*' };
+}
+
+/**
+ * Parse a five-field cron expression (or an alias like @daily)
+ */
+function parseCron(expression) {
+    const text = String(expression ?? '').trim().toLowerCase();
+    const fields = (SCHEDULE_CONFIG.aliases[text] || text).split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        return { valid: false, reason: 'Schedule needs five fields: minute hour day-of-month month day-of-week' };
+    }
+    
+    const parsed = [];
+    for (let i = 0; i < fields.length; i++) {
+        const field = parseField(fields[i], CRON_FIELDS[i]);
+        if (!field.valid) return field;
+        parsed.push(field);
+    }
+    
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parsed;
+    if (dayOfWeek.values.has(7)) dayOfWeek.values.add(0);
+    
+    return { valid: true, cron: { minute, hour, dayOfMonth, month, dayOfWeek } };
+}
+
+/**
+ * Like cron, a day matches on either day field when both are restricted
+ */
+function matchesDay(cron, date) {
+    const domMatch = cron.dayOfMonth.values.has(date.getUTCDate());
+    const dowMatch = cron.dayOfWeek.values.has(date.getUTCDay());
+    if (cron.dayOfMonth.any) return dowMatch;
+    if (cron.dayOfWeek.any) return domMatch;
+    return domMatch || dowMatch;
+}
+
+/**
+ * First matching minute strictly after `after` (ms), or null within ~4 years
+ */
+function getNextRun(cron, after) {
+    const date = new Date(Math.floor(after / 60000) * 60000 + 60000);
+    const limit = after + 4 * 366 * 24 * 60 * 60 * 1000;
+    
+    // Skip whole months, days and hours that cannot match
+    while (date.getTime() <= limit) {
+        if (!cron.month.values.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!cron.hour.values.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!cron.minute.values.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+    return null;
+}
+
+// ============================================
+// Schedules
+// ============================================
+
+function getScheduleInfo(schedule) {
+    return {
+        id: schedule.id,
+        computerId: schedule.computerId,
+        cron: schedule.cron,
+        name: schedule.name,
+        createdAt: new Date(schedule.createdAt).toISOString(),
+        lastRunAt: schedule.lastRunAt ? new Date(schedule.lastRunAt).toISOString() : null,
+        nextRunAt: schedule.nextRunAt ? new Date(schedule.nextRunAt).toISOString() : null
+    };
+}
+
+function countAccountSchedules(accountId) {
+    let count = 0;
+    schedules.forEach(schedule => {
+        if (schedule.accountId === accountId) count++;
+    });
+    return count;
+}
+
+/**
+ * Add a recurring wake for a computer
+ */
+function createSchedule(accountId, computerId, expression, name) {
+    const parsed = parseCron(expression);
+    if (!parsed.valid) {
+        return { success: false, error: parsed.reason };
+    }
+    
+    const nextRunAt = getNextRun(parsed.cron, Date.now());
+    if (!nextRunAt) {
+        return { success: false, error: 'Schedule never runs' };
+    }
+    
+    if (countAccountSchedules(accountId) >= SCHEDULE_CONFIG.maxSchedulesPerAccount) {
+        return { success: false, error: `At most ${SCHEDULE_CONFIG.maxSchedulesPerAccount} wake schedules per account` };
+    }
+    
+    const schedule = {
+        id: 'wks_' + crypto.randomBytes(8).toString('hex'),
+        accountId,
+        computerId,
+        cron: String(expression).trim(),
+        name: String(name || '').trim().substring(0, SCHEDULE_CONFIG.maxNameLength) || null,
+        createdAt: Date.now(),
+        lastRunAt: null,
+        nextRunAt
+    };
+    schedules.set(schedule.id, schedule);
+    
+    auth.logSecurityEvent('WAKE_SCHEDULE_CREATED', { accountId, computerId, scheduleId: schedule.id, cron: schedule.cron });
+    
+    return { success: true, schedule: getScheduleInfo(schedule) };
+}
+
+/**
+ * Remove one of an account's schedules
+ */
+function deleteSchedule(accountId, scheduleId) {
+    const schedule = schedules.get(scheduleId);
+    if (!schedule || schedule.accountId !== accountId) {
+        return { success: false, error: 'Schedule not found' };
+    }
+    
+    schedules.delete(scheduleId);
+    auth.logSecurityEvent('WAKE_SCHEDULE_DELETED', { accountId, computerId: schedule.computerId, scheduleId });
+    
+    return { success: true };
+}
+
+/**
+ * An account's schedules, optionally for one computer
+ */
+function getAccountSchedules(accountId, computerId = null) {
+    const result = [];
+    schedules.forEach(schedule => {
+        if (schedule.accountId === accountId && (!computerId || schedule.computerId === computerId)) {
+            result.push(getScheduleInfo(schedule));
+        }
+    });
+    return result;
+}
+
+/**
+ * Schedules whose time has come. Each is moved on to its next run,
+ * so a relay that was down fires a missed wake once, not repeatedly.
+ */
+function takeDueSchedules(now = Date.now()) {
+    const due = [];
+    schedules.forEach(schedule => {
+        if (!schedule.nextRunAt || schedule.nextRunAt > now) return;
+        
+        const parsed = parseCron(schedule.cron);
+        schedule.lastRunAt = now;
+        schedule.nextRunAt = parsed.valid ? getNextRun(parsed.cron, now) : null;
+        schedules.save(schedule.id);
+        due.push(schedule);
+    });
+    return due;
+}
+
+// ============================================
+// Exports
+// ============================================
+module.exports = {
+    SCHEDULE_CONFIG,
+    parseCron,
+    getNextRun,
+    createSchedule,
+    deleteSchedule,
+    getAccountSchedules,
+    takeDueSchedules
+};